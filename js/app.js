@@ -4,7 +4,9 @@ class TheWalkApp {
         this.isPaused = false;
         this.pendingLayers = [];
         this.wakeLock = null; // Screen wake lock
-        this.simulationMode = false; // GPS simulation mode
+        // Position sources: real GPS by default, the simulator panel swaps in a manual provider
+        this.realGPSProvider = locationService.getProvider();
+        this.simulatorProvider = new ManualLocationProvider({ accuracy: 5 });
         // Map state
         this.enableMap = true; // Enable map with custom image overlay
         this.map = null;
@@ -14,17 +16,21 @@ class TheWalkApp {
         this.ui = {
             coordinates: document.getElementById('coordinates'),
             accuracy: document.getElementById('accuracy'),
+            motion: document.getElementById('motion'),
+            sampling: document.getElementById('sampling'),
             activeLayers: document.getElementById('active-layers'),
             startButton: document.getElementById('start-walk'),
             pauseButton: document.getElementById('pause-walk'),
             resetButton: document.getElementById('reset-walk'),
             masterVolume: document.getElementById('master-volume'),
             volumeDisplay: document.getElementById('volume-display'),
+            spatialToggle: document.getElementById('spatial-toggle'),
             audioLayers: document.getElementById('audio-layers'),
             debugToggle: document.getElementById('debug-toggle'),
             debugOverlay: document.getElementById('debug-overlay'),
             debugZones: document.getElementById('debug-zones'),
-            debugLayers: document.getElementById('debug-layers')
+            debugLayers: document.getElementById('debug-layers'),
+            recorderStatus: document.getElementById('recorder-status')
         };
         
         // Initialize loading state
@@ -158,6 +164,13 @@ class TheWalkApp {
             this.ui.volumeDisplay.textContent = `${e.target.value}%`;
         });
 
+        // Binaural zones (headphones): pan each zone's music toward its center
+        if (this.ui.spatialToggle) {
+            this.ui.spatialToggle.addEventListener('change', (e) => {
+                audioMixer.setSpatialEnabled(e.target.checked);
+            });
+        }
+
         // Debug overlay toggle
         if (this.ui.debugToggle && this.ui.debugOverlay) {
             this.ui.debugToggle.addEventListener('change', (e) => {
@@ -178,14 +191,24 @@ class TheWalkApp {
         // GPS Simulator controls
         this.initializeGPSSimulator();
 
+        // Motion (speed / heading / walking state)
+        locationService.motion.onUpdate((motion) => this.updateMotionDisplay(motion));
+        // Turning on the spot rotates the spatial mix between fixes
+        locationService.motion.onHeadingChange((heading) => audioMixer.setListenerHeading(heading));
+
+        // Adaptive GPS sampling: full rate only near zone boundaries
+        locationService.sampling.setDistanceSource((position) => audioMixer.getNearestBoundaryDistance(position));
+        locationService.sampling.onChange(() => this.updateSamplingDisplay());
+
+        // Walk recording (fixes + mixer events), exported from the debug overlay
+        walkRecorder.attach(locationService, audioMixer);
+        const gpxBtn = document.getElementById('download-gpx');
+        const geojsonBtn = document.getElementById('download-geojson');
+        if (gpxBtn) gpxBtn.addEventListener('click', () => walkRecorder.download('gpx'));
+        if (geojsonBtn) geojsonBtn.addEventListener('click', () => walkRecorder.download('geojson'));
+
         // Location updates
         locationService.onLocationUpdate((position, error) => {
-            // Skip real GPS updates if in simulation mode
-            if (this.simulationMode) {
-                console.log('[App] Ignoring real GPS - simulation mode active');
-                return;
-            }
-            
             console.log('[App] Location update received:', position ? `${position.latitude.toFixed(6)}, ${position.longitude.toFixed(6)}` : 'null', error || '');
             
             if (error) {
@@ -201,19 +224,27 @@ class TheWalkApp {
                 // Zone debug map is static - no position updates needed
             }
             
+            this.updateRecorderStatus();
+        });
+
+        // Zone membership: the geofence engine measures every position once; mixer, map and overlay use its snapshot
+        geofenceEngine.attach(locationService);
+        geofenceEngine.onUpdate((snapshot) => {
             if (this.isWalking) {
                 // Progressive load nearby layers (essential ones already preloaded)
-                audioMixer.progressivePreload(position);
+                audioMixer.progressivePreload(snapshot);
                 // Update mix
-                audioMixer.updateLocationAudio(position);
+                audioMixer.updateLocationAudio(snapshot);
                 this.updateActiveLayersDisplay();
                 // Update oneshot markers to show completion status
                 this.updateOneshotMarkers();
             }
-            
-            // Always update overlay with latest position (or null above)
-            this.updateDebugOverlay(position);
+
+            // Always update overlay with latest snapshot
+            this.updateDebugOverlay(snapshot.position);
         });
+        geofenceEngine.on('enter', (event) => this.highlightZone(event.zoneId, true));
+        geofenceEngine.on('exit', (event) => this.highlightZone(event.zoneId, false));
     }
 
     // Resilience: resume audio/GPS on visibility and restart watch if stale
@@ -240,8 +271,9 @@ class TheWalkApp {
                 console.log('✅ GPS tracking restarted');
                 
                 // Force an immediate audio update if we have a position
-                if (locationService.currentPosition) {
-                    audioMixer.updateLocationAudio(locationService.currentPosition);
+                const snapshot = geofenceEngine.getSnapshot();
+                if (snapshot.position) {
+                    audioMixer.updateLocationAudio(snapshot);
                 }
             } else if (document.visibilityState === 'hidden') {
                 console.log('⏸️ App going to background');
@@ -303,6 +335,79 @@ class TheWalkApp {
                 this.ui.volumeDisplay.textContent = `${Math.round(mv * 100)}%`;
             }
 
+            // Oneshot trigger rules shared by all zones (zones can override via props.trigger)
+            if (cfg.globalSettings && cfg.globalSettings.triggerDefaults) {
+                audioMixer.setTriggerDefaults(cfg.globalSettings.triggerDefaults);
+            }
+            // Decoded audio budget (far, silent layers are released and re-fetched on approach)
+            if (cfg.globalSettings && cfg.globalSettings.bufferCache) {
+                audioMixer.configureBufferCache(cfg.globalSettings.bufferCache);
+            }
+            // Story rules shared by all oneshots (prerequisites and flags per zone via props.story)
+            if (cfg.globalSettings && cfg.globalSettings.story) {
+                storyEngine.configure(cfg.globalSettings.story);
+            }
+            // What a oneshot does when another is already playing (zones override via props.concurrency / priority)
+            if (cfg.globalSettings && cfg.globalSettings.oneshotPolicy) {
+                audioMixer.setOneshotPolicy(cfg.globalSettings.oneshotPolicy);
+            }
+            // How far the music dips under a oneshot (zones can override via props.ducking)
+            if (cfg.globalSettings && cfg.globalSettings.duckingDefaults) {
+                audioMixer.setDuckingDefaults(cfg.globalSettings.duckingDefaults);
+            }
+            // Musical grid: bpm, beatsPerBar, quantizeBars and the default quantize for entries
+            if (cfg.globalSettings) {
+                audioMixer.configureTransport(cfg.globalSettings);
+            }
+            // Bus compressor / limiter and per-layer loudness normalization (before initialize builds the buses)
+            if (cfg.globalSettings && cfg.globalSettings.dynamics) {
+                audioMixer.configureDynamics(cfg.globalSettings.dynamics);
+            }
+            if (cfg.globalSettings && cfg.globalSettings.loudness) {
+                audioMixer.configureLoudness(cfg.globalSettings.loudness);
+            }
+            // Motion modulation smoothing
+            if (cfg.globalSettings && cfg.globalSettings.modulation) {
+                audioMixer.configureModulation(cfg.globalSettings.modulation);
+            }
+            // Mix modes for zones sharing an exclusiveGroup
+            if (cfg.globalSettings && cfg.globalSettings.exclusiveGroups) {
+                audioMixer.configureExclusiveGroups(cfg.globalSettings.exclusiveGroups);
+            }
+            if (cfg.globalSettings && cfg.globalSettings.fadeCurve) {
+                audioMixer.setDefaultFadeCurve(cfg.globalSettings.fadeCurve);
+            }
+            // Effect chains on the music, oneshot and master buses (built when audio starts)
+            if (cfg.globalSettings && cfg.globalSettings.effects) {
+                audioMixer.configureEffects(cfg.globalSettings.effects);
+            }
+            // Binaural zone placement (off unless enabled here or by the 3D audio toggle)
+            if (cfg.globalSettings && cfg.globalSettings.spatial) {
+                audioMixer.configureSpatial(cfg.globalSettings.spatial);
+                if (this.ui.spatialToggle) this.ui.spatialToggle.checked = !!audioMixer.spatial.options.enabled;
+            }
+            if (cfg.globalSettings && cfg.globalSettings.hysteresisDefaults) {
+                geofenceEngine.setHysteresisDefaults(cfg.globalSettings.hysteresisDefaults);
+            }
+            if (cfg.globalSettings && cfg.globalSettings.geofence) {
+                geofenceEngine.configure(cfg.globalSettings.geofence);
+            }
+
+            // GPS smoothing (accuracy-weighted filter with outlier rejection)
+            if (cfg.globalSettings && cfg.globalSettings.locationFilter) {
+                locationService.configureFilter(cfg.globalSettings.locationFilter);
+            }
+
+            // How hard to drive the GPS between zones
+            if (cfg.globalSettings && cfg.globalSettings.sampling) {
+                locationService.configureSampling(cfg.globalSettings.sampling);
+            }
+
+            // Position estimates during GPS dropouts
+            if (cfg.globalSettings && cfg.globalSettings.deadReckoning) {
+                locationService.configureDeadReckoning(cfg.globalSettings.deadReckoning);
+            }
+
             // Helper to derive partId from a name like "music 2-3" => "audio2"
             const derivePartId = (name) => {
                 if (!name || typeof name !== 'string') return null;
@@ -318,6 +423,13 @@ class TheWalkApp {
                     const props = feature.properties;
                     const partId = derivePartId(props.Name || props.id || props.name);
 
+                    // Zones: Point with radius_m, Polygon/MultiPolygon areas, LineString corridors with buffer_m
+                    const shape = ZoneShape.fromGeometry(feature.geometry, props);
+
+                    // Schedules (schedule.js): the mixer checks them live, so a walk can run across midnight
+                    const readSchedule = (spec) => spec && typeof spec === 'object' ? new Schedule(spec, shape?.center) : null;
+                    const schedule = readSchedule(props.schedule);
+
                     // Register and preload audio layers
                     if (Array.isArray(props.audioLayers)) {
                         for (const layer of props.audioLayers) {
@@ -325,7 +437,20 @@ class TheWalkApp {
                             audioMixer.registerLayerDefaults(layer.id, {
                                 loop: layer.loop !== false,
                                 volume: typeof layer.volume === 'number' ? layer.volume : 1.0,
-                                url: layer.file
+                                url: layer.file,
+                                quantize: layer.quantize ?? null,
+                                effects: Array.isArray(layer.effects) && layer.effects.length ? layer.effects : null,
+                                streaming: layer.streaming === true,
+                                loopStart: typeof layer.loopStart === 'number' ? layer.loopStart : null,
+                                loopEnd: typeof layer.loopEnd === 'number' ? layer.loopEnd : null,
+                                loopUnits: layer.loopUnits === 'samples' ? 'samples' : 'seconds',
+                                loopCrossfade: typeof layer.loopCrossfade === 'number' ? layer.loopCrossfade : 0,
+                                schedule: readSchedule(layer.schedule),
+                                modulation: Array.isArray(layer.modulation) && layer.modulation.length
+                                    ? new MotionModulation(layer.modulation, { loop: layer.loop !== false })
+                                    : null,
+                                loudness: typeof layer.loudness === 'number' ? layer.loudness : null,
+                                normalize: layer.normalize !== false
                             });
                             if (partId) {
                                 audioMixer.registerLayerPart(layer.id, partId);
@@ -335,23 +460,47 @@ class TheWalkApp {
                         }
                     }
 
-                    // Zones: support Point with radius_m
-                    if (feature.geometry?.type === 'Point' && Array.isArray(feature.geometry.coordinates)) {
-                        const [lng, lat] = feature.geometry.coordinates;
-                        const radius = props.radius_m ?? props.radius ?? 50;
+                    if (shape) {
+                        const radius = shape.type === 'circle' ? shape.radius : null;
                         const fadeDistance = props.fadeDistance ?? 30;
                         const maxVolume = props.maxVolume ?? 0.8;
                         const layerIds = Array.isArray(props.audioLayers) ? props.audioLayers.map(l => l.id) : [];
                         const isOneshot = props.isOneshot === true || /^(oneshot\d+)/i.test(props.Name || props.id || '');
+                        const trigger = props.trigger && typeof props.trigger === 'object' ? props.trigger : {};
+                        const ducking = props.ducking && typeof props.ducking === 'object' ? props.ducking : {};
+                        const story = props.story && typeof props.story === 'object' ? props.story : {};
+                        const priority = typeof props.priority === 'number' ? props.priority : null;
+                        const concurrency = ['queue', 'interrupt', 'layer', 'drop'].includes(props.concurrency) ? props.concurrency : null;
+                        const maxWait_s = typeof props.maxWait_s === 'number' ? props.maxWait_s : null;
+                        const exclusiveGroup = typeof props.exclusiveGroup === 'string' ? props.exclusiveGroup : null;
+                        const hysteresis = props.hysteresis && typeof props.hysteresis === 'object' ? props.hysteresis : {};
+                        const fadeCurve = props.fadeCurve ?? null;
+                        const quantize = props.quantize ?? null;
+                        const spatial = typeof props.spatial === 'boolean' ? props.spatial : null;
+                        const effects = Array.isArray(props.effects) ? props.effects : null;
 
                         audioMixer.addAudioZone({
                             id: props.id || props.name || `zone_${Math.random().toString(36).slice(2, 7)}`,
-                            center: { lat, lng },
+                            shape,
+                            center: shape.center,
                             radius,
                             audioLayers: layerIds,
                             fadeDistance,
                             maxVolume,
-                            isOneshot
+                            isOneshot,
+                            trigger,
+                            ducking,
+                            story,
+                            priority,
+                            concurrency,
+                            maxWait_s,
+                            exclusiveGroup,
+                            schedule,
+                            hysteresis,
+                            fadeCurve,
+                            quantize,
+                            spatial,
+                            effects
                         });
                     }
                 }
@@ -521,45 +670,142 @@ class TheWalkApp {
                 this.disableGPSSimulation();
             });
         }
+
+        this.initializeTrackReplay();
     }
 
-    // Simulate GPS position
-    simulateGPS(lat, lng, name) {
-        const position = {
-            latitude: lat,
-            longitude: lng,
-            accuracy: 5,
-            timestamp: Date.now()
+    // Track replay: load a recorded GPX/GeoJSON walk and feed it through the full pipeline
+    initializeTrackReplay() {
+        const fileInput = document.getElementById('replay-file');
+        const playBtn = document.getElementById('replay-play');
+        const scrub = document.getElementById('replay-scrub');
+        const speedBtns = document.querySelectorAll('.replay-speed');
+        if (!fileInput || !playBtn || !scrub) return;
+
+        this.replayProvider = null;
+        this.replaySpeed = 1;
+        this.replayTrackLine = null;
+
+        const setSpeedActive = () => {
+            speedBtns.forEach(btn => btn.classList.toggle('active', Number(btn.dataset.speed) === this.replaySpeed));
         };
+        setSpeedActive();
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            if (!file) return;
+            try {
+                const fixes = TrackReplayProvider.parseTrack(await file.text());
+                if (fixes.length === 0) throw new Error('Track has no points');
+                this.loadReplayTrack(fixes, file.name);
+            } catch (e) {
+                console.error('Failed to load track:', e);
+                this.updateReplayStatus(`Load failed: ${e.message}`);
+            }
+        });
+
+        playBtn.addEventListener('click', async () => {
+            const replay = this.replayProvider;
+            if (!replay) return;
+
+            if (locationService.getProvider() === replay && locationService.isCurrentlyTracking() && !replay.paused) {
+                replay.pause();
+            } else {
+                // Fresh mixer state so oneshot/part decisions match the original walk
+                if (replay.index === 0 && this.isWalking) audioMixer.reset();
+                locationService.setProvider(replay);
+                replay.play();
+                if (!this.isWalking) {
+                    await this.startWalk(); // user gesture: initializes audio and starts tracking
+                } else if (!locationService.isCurrentlyTracking()) {
+                    locationService.startTracking();
+                }
+            }
+            this.updateReplayStatus();
+        });
 
+        speedBtns.forEach(btn => btn.addEventListener('click', () => {
+            this.replaySpeed = Number(btn.dataset.speed) || 1;
+            if (this.replayProvider) this.replayProvider.setSpeed(this.replaySpeed);
+            setSpeedActive();
+            this.updateReplayStatus();
+        }));
+
+        // Scrub: seek while dragging is released
+        scrub.addEventListener('change', () => {
+            const replay = this.replayProvider;
+            if (!replay) return;
+            replay.seek(replay.getDuration() * (Number(scrub.value) / 1000));
+            this.updateReplayStatus();
+        });
+    }
+
+    // Prepare a parsed track for replay (does not start playback)
+    loadReplayTrack(fixes, name) {
+        if (this.replayProvider && locationService.getProvider() === this.replayProvider) {
+            locationService.setProvider(this.realGPSProvider);
+        }
+
+        const replay = new TrackReplayProvider(fixes, { speed: this.replaySpeed, name });
+        replay.onProgress = () => this.updateReplayStatus();
+        replay.onEnd = () => this.updateReplayStatus('Replay finished');
+        this.replayProvider = replay;
+
+        // Draw the recorded path for reference
+        if (this.map) {
+            if (this.replayTrackLine) this.replayTrackLine.remove();
+            this.replayTrackLine = L.polyline(fixes.map(f => [f.latitude, f.longitude]), {
+                color: '#FF00FF',
+                weight: 2,
+                opacity: 0.7
+            }).addTo(this.map);
+        }
+
+        document.getElementById('replay-play').disabled = false;
+        document.getElementById('replay-scrub').disabled = false;
+        this.updateReplayStatus();
+        console.log(`📼 Track loaded: ${name} (${fixes.length} fixes, ${Math.round(replay.getDuration() / 1000)}s)`);
+    }
+
+    // Update replay status line, play button and scrub position
+    updateReplayStatus(message = null) {
+        const statusEl = document.getElementById('replay-status');
+        const playBtn = document.getElementById('replay-play');
+        const scrub = document.getElementById('replay-scrub');
+        const replay = this.replayProvider;
+        if (!replay || !statusEl) return;
+
+        const fmt = (ms) => {
+            const total = Math.round(ms / 1000);
+            return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+        };
+        const duration = replay.getDuration();
+        const elapsed = replay.getElapsed();
+        const playing = locationService.getProvider() === replay && locationService.isCurrentlyTracking() && !replay.paused;
+
+        if (playBtn) playBtn.textContent = playing ? 'Pause' : 'Play';
+        if (scrub && duration > 0 && document.activeElement !== scrub) {
+            scrub.value = Math.round((elapsed / duration) * 1000);
+        }
+        statusEl.textContent = message ||
+            `📼 ${replay.name} · ${fmt(elapsed)} / ${fmt(duration)} · ${replay.speed}x${playing ? '' : ' · paused'}`;
+    }
+
+    // Simulate GPS position
+    simulateGPS(lat, lng, name) {
         // Update status
         const statusEl = document.getElementById('simulator-status');
         if (statusEl) {
             statusEl.textContent = `📍 Simulating: ${name} (${lat.toFixed(6)}, ${lng.toFixed(6)})`;
         }
 
-        // Stop real GPS tracking and inject simulated position
-        locationService.stopTracking();
-        locationService.currentPosition = position;
-        
-        // Override the location service callback to prevent real GPS updates
-        this.simulationMode = true;
-        
-        // Trigger location update manually
-        this.updateLocationDisplay(position);
-        if (this.enableMap) this.updateMap(position);
-        
-        if (this.isWalking) {
-            // Progressive load nearby layers (essential ones already preloaded)
-            audioMixer.progressivePreload(position);
-            // Update mix
-            audioMixer.updateLocationAudio(position);
-            this.updateActiveLayersDisplay();
+        // Swap in the simulator; fixes then flow through the normal location pipeline
+        this.simulatorProvider.setPosition(lat, lng);
+        locationService.setProvider(this.simulatorProvider);
+        if (!locationService.isCurrentlyTracking()) {
+            locationService.startTracking();
         }
         
-        // Always update overlay with simulated position
-        this.updateDebugOverlay(position);
-        
         console.log(`🎯 GPS Simulated: ${name} at ${lat}, ${lng}`);
     }
 
@@ -570,10 +816,10 @@ class TheWalkApp {
             statusEl.textContent = '📡 Using real GPS - move around to test';
         }
         
-        // Re-enable real GPS tracking
-        this.simulationMode = false;
-        if (this.isWalking) {
-            locationService.startTracking();
+        // Re-enable real GPS tracking (only keep it running while walking)
+        locationService.setProvider(this.realGPSProvider);
+        if (!this.isWalking) {
+            locationService.stopTracking();
         }
         
         console.log('🌍 GPS Simulation disabled - using real GPS');
@@ -583,6 +829,11 @@ class TheWalkApp {
     async startWalk() {
         try {
             if (this.isWalking) return; // prevent double start
+
+            // Ask for compass and motion sensor access while we still have the user gesture (iOS)
+            const compassPermission = locationService.motion.requestCompassPermission();
+            const motionPermission = locationService.deadReckoner.requestPermission();
+            locationService.sampling.startBatteryMonitor();
             
             // Ensure config is loaded
             if (!this.configLoaded) {
@@ -599,6 +850,8 @@ class TheWalkApp {
             }
             // Start persistent tracking (permission should already be granted)
             locationService.startTracking();
+            if (await compassPermission) locationService.motion.startCompass();
+            if (await motionPermission) locationService.deadReckoner.startSensors();
 
             // Audio already initialized during preload
 
@@ -612,6 +865,9 @@ class TheWalkApp {
             // Request wake lock to keep screen on
             await this.requestWakeLock();
 
+            // Record this session (fixes + mixer events) for later review
+            walkRecorder.start();
+
             // Update UI now that we're ready
             this.isWalking = true;
             this.isPaused = false;
@@ -693,6 +949,11 @@ class TheWalkApp {
         
         // Stop location tracking
         locationService.stopTracking();
+        locationService.motion.stopCompass();
+        locationService.motion.resetDistance();
+        locationService.deadReckoner.stopSensors();
+        walkRecorder.stop();
+        this.updateRecorderStatus();
 
         // CRITICAL: Stop test audio first to prevent conflicts
         audioMixer.stopLayer('test_audio_layer');
@@ -703,6 +964,10 @@ class TheWalkApp {
         } else {
             audioMixer.stopAll();
         }
+        geofenceEngine.reset();
+        if (this.zoneDebugCirclesById) {
+            this.zoneDebugCirclesById.forEach((circle, zoneId) => this.highlightZone(zoneId, false));
+        }
 
         // Update UI
         this.isWalking = false;
@@ -770,13 +1035,30 @@ class TheWalkApp {
             this.ui.coordinates.textContent = 
                 `${position.latitude.toFixed(6)}, ${position.longitude.toFixed(6)}`;
             this.ui.accuracy.textContent = 
-                `Accuracy: ±${Math.round(position.accuracy)}m`;
+                `Accuracy: ±${Math.round(position.accuracy)}m${position.estimated ? ' (estimated)' : ''}`;
         }
         
         // CRITICAL: Always update debug overlay when location display updates
         this.updateDebugOverlay(position);
     }
 
+    // Update sampling display (tier, poll interval, battery)
+    updateSamplingDisplay() {
+        if (!this.ui.sampling) return;
+        const status = locationService.sampling.getStatus();
+        const poll = status.pollMs ? `poll ${status.pollMs / 1000}s` : 'watch only';
+        const distance = status.distance !== null ? ` · edge ${Math.round(status.distance)}m` : '';
+        const battery = status.battery !== null ? ` · 🔋${status.battery}%${status.lowBattery ? ' saver' : ''}` : '';
+        this.ui.sampling.textContent = `GPS: ${status.tier} · ${poll}${status.enableHighAccuracy ? '' : ' · low accuracy'}${distance}${battery}`;
+    }
+
+    // Update motion display (state, speed, heading)
+    updateMotionDisplay(motion) {
+        if (!this.ui.motion || !motion) return;
+        const heading = motion.heading !== null ? ` · ${Math.round(motion.heading)}° (${motion.headingSource})` : '';
+        this.ui.motion.textContent = `Motion: ${motion.state} · ${motion.speed.toFixed(1)} m/s${heading}`;
+    }
+
     // Update active layers display
     updateActiveLayersDisplay() {
         const activeLayers = audioMixer.getActiveLayersInfo();
@@ -808,38 +1090,28 @@ class TheWalkApp {
     updateDebugOverlay(position) {
         if (!this.ui.debugOverlay || this.ui.debugOverlay.classList.contains('hidden')) return;
 
-        // Zones distances table
-        const rows = [];
-        if (position && audioMixer.audioZones && audioMixer.audioZones.length > 0) {
-            audioMixer.audioZones.forEach(zone => {
-                const d = audioMixer.calculateDistance(
-                    position.latitude,
-                    position.longitude,
-                    zone.center.lat,
-                    zone.center.lng
-                );
-                const inside = d <= zone.radius;
-                rows.push({ id: zone.id, distance: d, inside });
-            });
-            rows.sort((a, b) => a.distance - b.distance);
-        }
+        // Zones distances table (from the geofence engine, closest first)
+        const snapshot = geofenceEngine.getSnapshot();
+        const rows = position && snapshot.position ? snapshot.zones : [];
 
         const lastErr = locationService.lastError ? (locationService.lastError.message || String(locationService.lastError)) : null;
         const ageMs = locationService.getLastUpdateAge();
         const ageLabel = isFinite(ageMs) ? `${Math.round(ageMs/1000)}s` : 'n/a';
         const coord = (position || locationService.currentPosition) ? `${(position||locationService.currentPosition).latitude.toFixed(6)}, ${(position||locationService.currentPosition).longitude.toFixed(6)}` : 'n/a';
+        const raw = locationService.lastRawPosition;
+        const rawLabel = raw ? `${raw.latitude.toFixed(6)}, ${raw.longitude.toFixed(6)} ±${Math.round(raw.accuracy)}m` : 'n/a';
         const zoneCount = audioMixer.audioZones ? audioMixer.audioZones.length : 0;
         const debugTime = new Date().toLocaleTimeString();
 
         const zonesHtml = rows.length > 0 ? `
             <table class="debug-table">
-                <thead><tr><th>Zone</th><th>Dist (m)</th><th>Status</th></tr></thead>
+                <thead><tr><th>Zone</th><th>Edge (m)</th><th>Status</th></tr></thead>
                 <tbody>
                     ${rows.map(r => `
                         <tr>
                             <td class="mono">${r.id}</td>
-                            <td>${Math.round(r.distance)}</td>
-                            <td>${r.inside ? '<span class="debug-badge">active</span>' : '<span class="muted">out</span>'}</td>
+                            <td>${Math.round(r.edgeDistance)}</td>
+                            <td>${r.inside ? `<span class="debug-badge">active ${Math.round(r.dwellSeconds)}s</span>` : '<span class="muted">out</span>'}</td>
                         </tr>
                     `).join('')}
                 </tbody>
@@ -847,7 +1119,7 @@ class TheWalkApp {
         ` : '<div class="muted">No position yet</div>';
         this.ui.debugZones.innerHTML = `
             <div class="muted" style="margin-bottom:6px;">
-              ${debugTime} · Coords: ${coord} · GPS age: ${ageLabel} · Zones: ${zoneCount} · <strong>Build: v1.1</strong>${lastErr ? ` · Last error: ${lastErr}` : ''}
+              ${debugTime} · Coords: ${coord} · Raw: ${rawLabel} · GPS age: ${ageLabel} · Zones: ${zoneCount} · <strong>Build: v1.1</strong>${lastErr ? ` · Last error: ${lastErr}` : ''}
             </div>
             ${zonesHtml}
         `;
@@ -873,6 +1145,18 @@ class TheWalkApp {
         }
     }
 
+    // Update the walk recording summary in the debug overlay
+    updateRecorderStatus() {
+        if (!this.ui.recorderStatus) return;
+        const status = walkRecorder.getStatus();
+        if (!status.isRecording && status.fixes === 0) {
+            this.ui.recorderStatus.textContent = 'Not recording';
+            return;
+        }
+        const label = status.isRecording ? '⏺️ Recording' : '⏹️ Stopped';
+        this.ui.recorderStatus.textContent = `${label} · ${status.fixes} fixes · ${status.events} events · ${status.seconds}s`;
+    }
+
     // Initialize Leaflet map with OpenStreetMap tiles
     initializeMap() {
         const mapEl = document.getElementById('map');
@@ -915,6 +1199,7 @@ class TheWalkApp {
 
         this.zoneDebugMarkers = [];
         this.zoneDebugCircles = [];
+        this.zoneDebugCirclesById = new Map(); // zoneId -> inner circle, highlighted on geofence enter/exit
     }
 
     addZoneDebugMarkers() {
@@ -949,7 +1234,7 @@ class TheWalkApp {
 
             marker.bindPopup(`
                 <strong>${zone.id}</strong><br>
-                Radius: ${radius}m<br>
+                ${zone.shape.type === 'circle' ? `Radius: ${radius}m` : zone.shape.type === 'corridor' ? `Corridor: ±${zone.shape.buffer}m` : 'Area'}<br>
                 Fade: ${fadeDistance}m<br>
                 Max Volume: ${zone.maxVolume}
             `);
@@ -964,31 +1249,56 @@ class TheWalkApp {
                 })
             }).addTo(this.zoneMap);
 
-            // Add inner circle (zone radius)
-            const innerCircle = L.circle([lat, lng], {
-                radius: radius,
+            // Add inner shape (zone edge)
+            const innerCircle = this.createZoneLayer(zone, {
                 color: color,
                 weight: 2,
                 fillColor: color,
                 fillOpacity: 0.1
             }).addTo(this.zoneMap);
-
-            // Add outer circle (fade distance)
-            const outerCircle = L.circle([lat, lng], {
-                radius: radius + fadeDistance,
-                color: color,
-                weight: 1,
-                dashArray: '5, 5',
-                fillColor: color,
-                fillOpacity: 0.05
-            }).addTo(this.zoneMap);
+            this.zoneDebugCircles.push(innerCircle);
+
+            // Add outer circle (fade distance) - circles only, areas and corridors show their edge
+            if (zone.shape.type === 'circle') {
+                const outerCircle = L.circle([lat, lng], {
+                    radius: radius + fadeDistance,
+                    color: color,
+                    weight: 1,
+                    dashArray: '5, 5',
+                    fillColor: color,
+                    fillOpacity: 0.05
+                }).addTo(this.zoneMap);
+                this.zoneDebugCircles.push(outerCircle);
+            }
 
             this.zoneDebugMarkers.push(marker);
-            this.zoneDebugCircles.push(innerCircle, outerCircle);
+            this.zoneDebugCirclesById.set(zone.id, innerCircle);
         });
     }
 
-    
+    // Leaflet layer for a zone's shape: circle, polygon area, or buffered corridor
+    createZoneLayer(zone, style) {
+        const outline = zone.shape.getOutline();
+        const pieces = [];
+        if (zone.shape.type === 'corridor') {
+            // Quads and round caps overlap, so fill only and draw the center line on top
+            outline.polygons.forEach(rings => pieces.push(L.polygon(rings, { ...style, stroke: false })));
+            outline.circles.forEach(c => pieces.push(L.circle([c.center.lat, c.center.lng], { ...style, radius: c.radius, stroke: false })));
+            zone.shape.lines.forEach(line => pieces.push(L.polyline(line.map(p => [p.lat, p.lng]), { ...style, fill: false })));
+        } else {
+            outline.polygons.forEach(rings => pieces.push(L.polygon(rings, style)));
+            outline.circles.forEach(c => pieces.push(L.circle([c.center.lat, c.center.lng], { ...style, radius: c.radius })));
+        }
+        return L.featureGroup(pieces);
+    }
+
+    // Fill a zone's circle on the debug map while the walker is inside it
+    highlightZone(zoneId, inside) {
+        const circle = this.zoneDebugCirclesById && this.zoneDebugCirclesById.get(zoneId);
+        if (!circle) return;
+        circle.setStyle({ fillOpacity: inside ? 0.35 : 0.1, weight: inside ? 3 : 2 });
+    }
+
     // Add oneshot markers to the map after zones are loaded
     addOneshotMarkers() {
         if (!this.map || !audioMixer.audioZones) return;
@@ -1013,9 +1323,8 @@ class TheWalkApp {
             
             const marker = L.marker(latlng, { icon: oneshotIcon }).addTo(this.map);
             
-            // Add trigger radius circle
-            const circle = L.circle(latlng, {
-                radius: zone.radius,
+            // Add trigger area (circle, polygon or corridor)
+            const circle = this.createZoneLayer(zone, {
                 color: iconColor.replace('%23', '#'),
                 fillColor: iconColor.replace('%23', '#'),
                 fillOpacity: 0.1,
@@ -19,12 +19,78 @@ class AudioMixer {
         // Oneshot management
         this.playedOneshots = new Set(); // zoneId set (played this session)
         this.activeOneshots = new Set(); // layerIds currently playing as oneshots
+        this.triggerDefaults = {}; // globalSettings.triggerDefaults, overridden per zone by props.trigger
+        this.oneshotConfirmations = new Map(); // zoneId -> { count, lastTimestamp } of consecutive qualifying fixes
+        // Music ducking while a oneshot plays (globalSettings.duckingDefaults, overridden per zone by props.ducking):
+        //   depth (0..1 of the music removed), attack / release (s), hold (s after the attack) or
+        //   releaseBeforeEnd (s before the oneshot ends; 0 = release at the end)
+        this.duckingDefaults = { depth: 0.4, attack: 0.3, hold: null, release: 0.5, releaseBeforeEnd: 0 };
+        this.duckEnvelopes = new Map(); // layerId -> { level, attack, release, releaseAt } of playing oneshots
+        // What happens when a oneshot fires while another is playing (globalSettings.oneshotPolicy,
+        // overridden per zone by props.priority / concurrency / maxWait_s):
+        //   queue     - wait until the current one ends (higher priority first; skipped after maxWait_s)
+        //   interrupt - fade out the current one(s) if this one's priority is at least theirs, else queue
+        //   layer     - play alongside
+        //   drop      - don't play; not marked as played, so it can fire on a later pass
+        this.oneshotPolicy = { concurrency: 'queue', priority: 0, interruptFade: 0.5, maxWait_s: 60 };
+        this.oneshotQueue = [];                // { zone, priority, queuedAt }
+        this.playingOneshotZones = new Map();  // zoneId -> { zone, priority, pending: Set(layerIds) }
+        this.oneshotVoices = new Map();        // layerId -> { source, gain } of playing oneshots
+
+        // Zone membership and distances come from the geofence engine
+        this.geofence = window.geofenceEngine;
+        this.story = window.storyEngine; // oneshot prerequisites, branches and flags
+        this.defaultFadeCurve = new FadeCurve('linear'); // globalSettings.fadeCurve, overridden per zone by props.fadeCurve
+        this.exclusiveGroups = {}; // globalSettings.exclusiveGroups: group name -> { mode, headroom }
+        this.modulationSmoothing = 1.5; // seconds; globalSettings.modulation.smoothing
+
+        // Musical grid for part starts, layer entries and ducking (globalSettings bpm/beatsPerBar/quantizeBars)
+        this.transport = new TransportClock();
+        this.defaultQuantize = 'none'; // globalSettings.quantize; zones and layers override with `quantize`
+        this.zoneQuantize = new Map(); // layerId -> quantize of the zone that owns it
+
+        // Optional binaural mode: music zones placed around the listener (globalSettings.spatial, zone.spatial)
+        this.spatial = new SpatialAudio();
+        this.layerZones = new Map(); // layerId -> music zone that owns it (first registered wins)
+
+        // Effect chains (effectsChain.js): bus chains from globalSettings.effects, zone and layer chains built on first use
+        this.busEffectSpecs = {}; // { music, oneshot, master } -> stage list
+        this.busEffects = {};     // bus name -> EffectsChain
+        this.impulses = new Map(); // impulse URL -> Promise<AudioBuffer>, shared by all reverbs
+
+        // Compressor / limiter at the end of each bus (busDynamics.js); the master limiter guards against clipping
+        this.dynamicsSpecs = { master: { limiter: true } }; // globalSettings.dynamics
+        this.busDynamics = {}; // bus name -> BusDynamics
+        // Per-layer loudness normalization (loudness.js, globalSettings.loudness)
+        this.loudness = new Loudness();
         
         // Debug info for phone
         this.lastDebugMessage = '';
         
         // Track loading promises so we can wait for them
         this.loadingPromises = new Map(); // layerId -> Promise
+        // Decoded-size budget: silent layers far from the walker are released (globalSettings.bufferCache)
+        this.bufferCache = new BufferCache();
+
+        // Listeners for mixer events (oneshots, parts, ducking) - used by the walk recorder
+        this.eventCallbacks = [];
+    }
+
+    // Add callback for mixer events: callback({ type, timestamp, ...details })
+    onMixerEvent(callback) {
+        this.eventCallbacks.push(callback);
+    }
+
+    // Notify listeners of a mixer event
+    emitEvent(type, details = {}) {
+        const event = { type, timestamp: Date.now(), ...details };
+        this.eventCallbacks.forEach(callback => {
+            try {
+                callback(event);
+            } catch (e) {
+                console.error('Mixer event callback error:', e);
+            }
+        });
     }
 
     // Simple readiness check
@@ -40,18 +106,21 @@ class AudioMixer {
             
             // Create master gain
             this.masterGain = this.audioContext.createGain();
-            this.masterGain.connect(this.audioContext.destination);
+            this.connectBusOutput(this.masterGain, 'master', this.audioContext.destination);
             this.masterGain.gain.setValueAtTime(this.masterVolume, this.audioContext.currentTime);
             
             // Create music bus (for distance-based music)
             this.musicBus = this.audioContext.createGain();
-            this.musicBus.connect(this.masterGain);
+            this.connectBusOutput(this.musicBus, 'music', this.masterGain);
             this.musicBus.gain.setValueAtTime(1.0, this.audioContext.currentTime);
             
             // Create oneshot bus (for voiceover - always full volume)
             this.oneshotBus = this.audioContext.createGain();
-            this.oneshotBus.connect(this.masterGain);
+            this.connectBusOutput(this.oneshotBus, 'oneshot', this.masterGain);
             this.oneshotBus.gain.setValueAtTime(1.0, this.audioContext.currentTime);
+
+            // Spatial panners feed the music bus so ducking and master volume still apply
+            this.spatial.setContext(this.audioContext, this.musicBus);
             
             this.isInitialized = true;
             console.log('AudioMixer initialized with separate music and oneshot buses');
@@ -61,6 +130,122 @@ class AudioMixer {
         }
     }
 
+    // Bus effect chains (globalSettings.effects: { music, oneshot, master }); applied when the audio graph is built
+    configureEffects(settings = {}) {
+        this.busEffectSpecs = { ...settings };
+    }
+
+    // Bus dynamics (globalSettings.dynamics: { master, music, oneshot }); false switches a bus's stage off
+    configureDynamics(settings = {}) {
+        this.dynamicsSpecs = { ...this.dynamicsSpecs, ...settings };
+    }
+
+    // Loudness normalization settings (globalSettings.loudness)
+    configureLoudness(settings = {}) {
+        this.loudness.configure(settings);
+    }
+
+    // Connect a bus to its destination: bus -> [effect chain] -> [compressor / limiter] -> destination
+    connectBusOutput(bus, name, destination) {
+        const dynamicsSpec = this.dynamicsSpecs[name];
+        if (dynamicsSpec && (dynamicsSpec.compressor || dynamicsSpec.limiter)) {
+            const dynamics = new BusDynamics(this.audioContext, dynamicsSpec);
+            dynamics.output.connect(destination);
+            destination = dynamics.input;
+            this.busDynamics[name] = dynamics;
+            console.log(`🗜️ ${name} bus dynamics: ${dynamics}`);
+        }
+
+        const specs = this.busEffectSpecs[name];
+        if (!Array.isArray(specs) || specs.length === 0) {
+            bus.connect(destination);
+            return;
+        }
+        const chain = this.createEffectsChain(specs);
+        bus.connect(chain.input);
+        chain.output.connect(destination);
+        this.busEffects[name] = chain;
+        console.log(`🎛️ ${name} bus effects: ${chain}`);
+    }
+
+    // Loudness normalization gain for a layer (1 when off or its loudness is unknown)
+    getLoudnessGain(layer) {
+        if (!layer || layer.normalize === false) return 1;
+        return this.loudness.gainFor(layer.loudness ?? layer.measuredLoudness);
+    }
+
+    // Build an effect chain in this context; reverb impulses are fetched once per URL
+    createEffectsChain(specs) {
+        return new EffectsChain(this.audioContext, specs, { loadImpulse: (url) => this.loadImpulse(url) });
+    }
+
+    // Fetch and decode an impulse response (cached)
+    loadImpulse(url) {
+        if (!this.impulses.has(url)) {
+            const promise = fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.arrayBuffer();
+                })
+                .then(data => this.audioContext.decodeAudioData(data));
+            promise.catch(() => this.impulses.delete(url)); // allow a retry
+            this.impulses.set(url, promise);
+        }
+        return this.impulses.get(url);
+    }
+
+    // Connect a new source to its layer gain, through the layer's effect chain if it has one
+    connectLayerSource(layer, source, gainNode) {
+        let destination = gainNode;
+        if (layer.effects && this.audioContext) {
+            if (!layer.effectsChain) layer.effectsChain = this.createEffectsChain(layer.effects);
+            try {
+                layer.effectsChain.output.disconnect();
+            } catch (e) {
+                // first use
+            }
+            layer.effectsChain.output.connect(gainNode);
+            destination = layer.effectsChain.input;
+        }
+        // Motion-driven lowpass sits in front of the layer's own effects
+        if (layer.modulation && layer.modulation.drives('cutoff') && this.audioContext) {
+            if (!layer.modFilter) {
+                layer.modFilter = this.audioContext.createBiquadFilter();
+                layer.modFilter.type = 'lowpass';
+                layer.modFilter.frequency.value = layer.modulated?.cutoff ?? 20000;
+            }
+            try {
+                layer.modFilter.disconnect();
+            } catch (e) {
+                // first use
+            }
+            layer.modFilter.connect(destination);
+            destination = layer.modFilter;
+        }
+        source.connect(destination);
+    }
+
+    // Where a zone's layer gains connect: its effect chain if it has one, else its panner or the music bus
+    getZoneInput(zone) {
+        if (!zone || !zone.effects || !this.audioContext) return this.spatial.getOutput(zone) || this.musicBus;
+        if (!zone.effectsChain) {
+            zone.effectsChain = this.createEffectsChain(zone.effects);
+            this.routeZoneEffects(zone);
+        }
+        return zone.effectsChain.input;
+    }
+
+    // (Re)connect a zone chain's output to the zone panner or the music bus (after spatial changes)
+    routeZoneEffects(zone) {
+        if (!zone.effectsChain) return;
+        try {
+            zone.effectsChain.output.disconnect();
+        } catch (e) {
+            // first use
+        }
+        zone.effectsChain.output.connect(this.spatial.getOutput(zone) || this.musicBus);
+    }
+
     // Resume audio context (required for user interaction)
     async resumeContext() {
         if (this.audioContext && this.audioContext.state === 'suspended') {
@@ -68,16 +253,25 @@ class AudioMixer {
         }
     }
 
-    // Load audio file
+    // Load audio file (streaming layers only prepare their media element)
     async loadAudio(url, layerId) {
+        if (this.audioLayers.get(layerId)?.streaming) return this.prepareStream(layerId, url);
         try {
             const response = await fetch(url);
             const arrayBuffer = await response.arrayBuffer();
-            const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+            const audioBuffer = this.prepareLoopBuffer(layerId, await this.audioContext.decodeAudioData(arrayBuffer));
             
             // If layer exists, update its buffer while preserving ALL existing properties
             const existing = this.audioLayers.get(layerId) || {};
+            // Measure loudness once; a re-decode after the buffer was released keeps the first result
+            const measure = this.loudness.options.enabled && this.loudness.options.measure
+                && existing.normalize !== false && existing.loudness == null && existing.measuredLoudness == null;
+            if (measure) {
+                existing.measuredLoudness = Loudness.measure(audioBuffer);
+                console.log(`📏 ${layerId}: ${existing.measuredLoudness.toFixed(1)} dB → gain ${this.loudness.gainFor(existing.measuredLoudness).toFixed(2)}`);
+            }
             const layer = {
+                ...existing, // registered settings (quantize etc.) and playback state
                 buffer: audioBuffer,
                 source: existing.source || null,
                 gainNode: existing.gainNode || null,
@@ -88,6 +282,7 @@ class AudioMixer {
             };
 
             this.audioLayers.set(layerId, layer);
+            this.bufferCache.add(layerId, audioBuffer);
             console.log(`Audio loaded: ${layerId}`);
             return layer;
         } catch (error) {
@@ -96,6 +291,61 @@ class AudioMixer {
         }
     }
 
+    // Attach a streaming layer's media element to the graph and wait for its metadata
+    async prepareStream(layerId, url) {
+        const layer = this.audioLayers.get(layerId);
+        if (layer.stream) return layer;
+        if (layer.loopStart !== null || layer.loopEnd !== null || layer.loopCrossfade) {
+            console.warn(`${layerId}: loop regions and crossfades need a decoded layer; streaming loops the whole file`);
+        }
+        const stream = new StreamingSource(this.audioContext, layer.url || url);
+        await stream.ready();
+        layer.stream = stream;
+        console.log(`📡 Stream ready: ${layerId} (${stream.duration.toFixed(1)}s)`);
+        return layer;
+    }
+
+    // Playable: decoded buffer or prepared stream
+    isLayerReady(layer) {
+        return !!(layer && (layer.buffer || layer.stream));
+    }
+
+    // Length of a layer's audio in seconds (0 while unknown)
+    getLayerDuration(layer) {
+        if (layer.buffer) return layer.buffer.duration;
+        return layer.stream ? layer.stream.duration : 0;
+    }
+
+    // New source for a layer: a buffer source, or the layer's one streaming source
+    createLayerSource(layer, loop) {
+        // Rate modulation only reaches one-pass sources: a loop at another rate would drift out of the phase lock
+        const rate = !loop && layer.modulated && layer.modulated.rate !== null ? layer.modulated.rate : 1;
+        if (layer.stream) {
+            layer.stream.loop = loop;
+            layer.stream.setPlaybackRate(rate); // the element keeps its rate between plays
+            return layer.stream;
+        }
+        const source = this.audioContext.createBufferSource();
+        source.buffer = layer.buffer;
+        source.loop = loop;
+        if (loop) {
+            const region = this.getLoopRegion(layer);
+            source.loopStart = region.start;
+            source.loopEnd = region.end;
+        }
+        source.playbackRate.value = rate;
+        return source;
+    }
+
+    // Move a layer source's playback rate (motion modulation)
+    setSourceRate(source, rate, smoothing = this.modulationSmoothing) {
+        if (source instanceof StreamingSource) {
+            source.setPlaybackRate(rate);
+        } else if (source.playbackRate) {
+            source.playbackRate.setTargetAtTime(rate, this.audioContext.currentTime, smoothing / 3);
+        }
+    }
+
     // Ensure a layer's buffer is loaded (on-demand). Safe to call repeatedly.
     async ensureLayerLoaded(layerId) {
         const layer = this.audioLayers.get(layerId);
@@ -103,7 +353,8 @@ class AudioMixer {
             console.log(`❌ ensureLayerLoaded: ${layerId} not found`);
             return;
         }
-        if (layer.buffer) {
+        if (this.isLayerReady(layer)) {
+            this.bufferCache.touch(layerId);
             console.log(`✓ ${layerId} already loaded`);
             return; // already loaded
         }
@@ -143,8 +394,8 @@ class AudioMixer {
     }
 
     // Progressive preload: load layers for zones near the user to avoid pops
-    async progressivePreload(position) {
-        if (!position) return;
+    async progressivePreload(snapshot) {
+        if (!snapshot || !snapshot.position) return;
         
         // Track loading state to prevent overload
         if (!this.loadingQueue) this.loadingQueue = new Set();
@@ -152,23 +403,10 @@ class AudioMixer {
         
         const margin = 150; // meters beyond zone edge to begin loading
         
-        // Build list of zones with distances
-        const nearbyZones = [];
-        for (const zone of this.audioZones) {
-            const d = this.calculateDistance(
-                position.latitude,
-                position.longitude,
-                zone.center.lat,
-                zone.center.lng
-            );
-            const preloadDistance = (zone.radius || 0) + (zone.fadeDistance || 0) + margin;
-            if (d <= preloadDistance) {
-                nearbyZones.push({ zone, distance: d });
-            }
-        }
-        
-        // Sort by distance (closest first)
-        nearbyZones.sort((a, b) => a.distance - b.distance);
+        // Zones within preload range (snapshot is already sorted closest first)
+        const nearbyZones = snapshot.zones.filter(({ zone, edgeDistance }) =>
+            edgeDistance <= (zone.fadeDistance || 0) + margin
+        );
         
         // Load layers from closest zones first, respecting concurrent limit
         for (const { zone } of nearbyZones) {
@@ -176,7 +414,7 @@ class AudioMixer {
                 const layer = this.audioLayers.get(layerId);
                 
                 // Skip if already loaded or currently loading
-                if (layer?.buffer || this.loadingQueue.has(layerId)) continue;
+                if (this.isLayerReady(layer) || this.loadingQueue.has(layerId)) continue;
                 
                 // Respect concurrent load limit
                 if (this.loadingQueue.size >= this.maxConcurrentLoads) {
@@ -193,19 +431,170 @@ class AudioMixer {
     }
 
     // Register a layer's default properties before loading audio data
-    registerLayerDefaults(layerId, { loop = true, volume = 1.0, url = null } = {}) {
+    registerLayerDefaults(layerId, { loop = true, volume = 1.0, url = null, quantize = null, effects = null, streaming = false,
+        loopStart = null, loopEnd = null, loopUnits = 'seconds', loopCrossfade = 0, schedule = null, modulation = null,
+        loudness = null, normalize = true } = {}) {
         const existing = this.audioLayers.get(layerId) || {};
         this.audioLayers.set(layerId, {
             buffer: existing.buffer ?? null,
+            streaming: streaming || existing.streaming || false, // play through a media element instead of decoding (streamingSource.js)
+            stream: existing.stream ?? null,
             source: null,
             gainNode: null,
             isPlaying: false,
             loop: loop,
             volume: Math.max(0, Math.min(1, volume)),
-            url: url || existing.url || null
+            url: url || existing.url || null,
+            quantize: quantize ?? existing.quantize ?? null, // overrides the zone's quantize
+            effects: effects ?? existing.effects ?? null, // effect stages between source and gain (effectsChain.js)
+            effectsChain: existing.effectsChain ?? null,
+            loopStart: loopStart ?? existing.loopStart ?? null,   // loop region, in loopUnits ('seconds' | 'samples')
+            loopEnd: loopEnd ?? existing.loopEnd ?? null,
+            loopUnits: loopUnits || existing.loopUnits || 'seconds',
+            loopCrossfade: loopCrossfade || existing.loopCrossfade || 0, // > 0: the region is pre-rendered as a crossfaded loop
+            schedule: schedule ?? existing.schedule ?? null, // Schedule (schedule.js): only heard while active
+            modulation: modulation ?? existing.modulation ?? null, // MotionModulation (motionModulation.js)
+            modulated: existing.modulated ?? null, // last { volume, cutoff, rate } from modulation
+            modFilter: existing.modFilter ?? null, // lowpass driven by a cutoff modulation
+            loudness: loudness ?? existing.loudness ?? null, // dB from zones.geojson; else measured on decode (loudness.js)
+            measuredLoudness: existing.measuredLoudness ?? null,
+            normalize: normalize && existing.normalize !== false, // false: no loudness normalization for this layer
+            audible: false,  // faded above zero (entries are quantized, changes while audible are not)
+            entryAt: null    // AudioContext time of a pending quantized entry
         });
     }
 
+    // Where in its loop a layer started at `when` should begin so it lines up with every
+    // other loop started since the transport began (all loops are at their loop start at transport start)
+    getLoopOffset(layer, when) {
+        if (!this.isLayerReady(layer)) return 0;
+        const region = this.getLoopRegion(layer);
+        const length = region.end - region.start;
+        if (!(length > 0) || !this.transport.isRunning()) return region.start;
+        const elapsed = when - this.transport.startTime;
+        return region.start + ((elapsed % length) + length) % length;
+    }
+
+    // Loop region of a ready layer in seconds: { start, end }. Crossfaded loops were rendered
+    // to their own buffer at load time, so they loop the whole buffer.
+    getLoopRegion(layer) {
+        const duration = this.getLayerDuration(layer);
+        if (!layer.buffer || layer.loopCrossfade > 0) return { start: 0, end: duration };
+        return this.resolveLoopRegion(layer, layer.buffer);
+    }
+
+    // Configured loopStart/loopEnd in seconds, clamped to the buffer
+    resolveLoopRegion(layer, buffer) {
+        const toSeconds = (value) => typeof value !== 'number' ? null
+            : layer.loopUnits === 'samples' ? value / buffer.sampleRate : value;
+        const start = Math.max(0, Math.min(buffer.duration, toSeconds(layer.loopStart) ?? 0));
+        let end = toSeconds(layer.loopEnd);
+        if (end === null || end <= start || end > buffer.duration) end = buffer.duration;
+        return { start, end };
+    }
+
+    // Looping layers with loopCrossfade: render the loop region into a buffer whose tail is
+    // equal-power crossfaded into its head, so it wraps without a click. Other buffers pass through.
+    prepareLoopBuffer(layerId, buffer) {
+        const layer = this.audioLayers.get(layerId);
+        if (!layer || layer.loop === false || !(layer.loopCrossfade > 0)) return buffer;
+        const rate = buffer.sampleRate;
+        const { start, end } = this.resolveLoopRegion(layer, buffer);
+        const first = Math.round(start * rate);
+        const regionLength = Math.round(end * rate) - first;
+        const crossfadeSeconds = layer.loopUnits === 'samples' ? layer.loopCrossfade / rate : layer.loopCrossfade;
+        const fade = Math.min(Math.round(crossfadeSeconds * rate), Math.floor(regionLength / 2));
+        if (fade < 1) return buffer;
+
+        // Output sample i < fade mixes the head (fading in) with the tail sample that would follow the wrap
+        const length = regionLength - fade;
+        const loop = this.audioContext.createBuffer(buffer.numberOfChannels, length, rate);
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const input = buffer.getChannelData(c);
+            const output = loop.getChannelData(c);
+            for (let i = 0; i < length; i++) {
+                if (i < fade) {
+                    const t = (i + 0.5) / fade;
+                    output[i] = input[first + i] * Math.sin(t * Math.PI / 2) + input[first + length + i] * Math.cos(t * Math.PI / 2);
+                } else {
+                    output[i] = input[first + i];
+                }
+            }
+        }
+        console.log(`🔁 Crossfade loop for ${layerId}: ${start.toFixed(3)}–${end.toFixed(3)}s, ${(fade / rate * 1000).toFixed(0)}ms crossfade`);
+        return loop;
+    }
+
+    // Tempo and default quantization (globalSettings)
+    configureTransport(settings = {}) {
+        this.transport.configure(settings);
+        if (settings.quantize !== undefined) this.defaultQuantize = settings.quantize;
+    }
+
+    // Spatial settings (globalSettings.spatial)
+    configureSpatial(settings = {}) {
+        this.spatial.configure(settings);
+    }
+
+    // Switch binaural mode on/off and reroute every playing music layer
+    setSpatialEnabled(enabled) {
+        this.spatial.configure({ enabled: !!enabled });
+        this.spatial.clear();
+        this.audioZones.forEach(zone => this.routeZoneEffects(zone));
+        this.layerGains.forEach((gainNode, layerId) => this.connectLayerOutput(layerId, gainNode));
+        this.audioLayers.forEach((layer, layerId) => {
+            if (layer.gainNode && !this.layerGains.has(layerId) && !this.activeOneshots.has(layerId)) {
+                this.connectLayerOutput(layerId, layer.gainNode);
+            }
+        });
+        const snapshot = this.geofence.getSnapshot();
+        if (snapshot.position) this.updateSpatial(snapshot);
+        console.log(`🎧 Spatial audio ${enabled ? 'on' : 'off'}`);
+        this.updateAudioDebugPanel();
+    }
+
+    // Route a music layer's gain to its zone's panner (spatial) or straight to the music bus
+    connectLayerOutput(layerId, gainNode) {
+        if (!this.musicBus) return;
+        try {
+            gainNode.disconnect();
+        } catch (e) {
+            // not connected yet
+        }
+        gainNode.connect(this.getZoneInput(this.layerZones.get(layerId)));
+    }
+
+    // Move the zone panners and turn the listener for a new position
+    updateSpatial(snapshot) {
+        if (!this.spatial.options.enabled) return;
+        const heading = snapshot.position.motion?.heading;
+        this.spatial.update(snapshot.position, heading, snapshot.zones.map(z => z.zone));
+    }
+
+    // Compass heading changed (standing still or turning on the spot)
+    setListenerHeading(heading) {
+        if (this.spatial.options.enabled) this.spatial.setHeading(heading);
+    }
+
+    // Quantize setting for a layer: its own, else its zone's, else the global default
+    getQuantize(layerId) {
+        const layer = this.audioLayers.get(layerId);
+        return layer?.quantize ?? this.zoneQuantize.get(layerId) ?? this.defaultQuantize;
+    }
+
+    // Time a silent layer should enter: null for "now", else the next grid boundary.
+    // A pending entry keeps its boundary so later fixes don't push it back.
+    getEntryTime(layerId, layer) {
+        const now = this.audioContext.currentTime;
+        if (layer.entryAt !== null && layer.entryAt > now) return layer.entryAt;
+        layer.entryAt = null;
+        if (layer.audible) return null;
+        const quantize = this.getQuantize(layerId);
+        if (!this.transport.gridSeconds(quantize)) return null;
+        layer.entryAt = this.transport.nextBoundary(quantize, now);
+        return layer.entryAt;
+    }
+
     // Register mapping of a layer to a part
     registerLayerPart(layerId, partId) {
         if (!partId || !layerId) return;
@@ -214,7 +603,8 @@ class AudioMixer {
         this.partToLayers.get(partId).add(layerId);
     }
 
-    // Start all layers in a part simultaneously (immediate start, gain 0)
+    // Start all layers in a part simultaneously (gain 0), each at its place in the loop
+    // relative to the transport so parts that overlap or restart stay phase-locked
     startPart(partId) {
         if (!partId) {
             console.log(`⚠️ startPart called with no partId`);
@@ -237,7 +627,7 @@ class AudioMixer {
         const notLoaded = [];
         layerSet.forEach(layerId => {
             const l = this.audioLayers.get(layerId);
-            if (!l || !l.buffer) {
+            if (!this.isLayerReady(l)) {
                 allLoaded = false;
                 notLoaded.push(layerId);
             }
@@ -249,28 +639,50 @@ class AudioMixer {
             return;
         }
 
+        // All layers start together on the coarsest grid any of them asks for; the first loop anchors the transport
+        const quantize = [...layerSet].map(id => this.getQuantize(id))
+            .reduce((a, b) => this.transport.gridSeconds(b) > this.transport.gridSeconds(a) ? b : a, 'none');
+        const when = this.transport.nextBoundary(quantize, this.audioContext.currentTime);
+        this.transport.start(when);
+
         layerSet.forEach(layerId => {
             const l = this.audioLayers.get(layerId);
-            if (!l || !l.buffer) return; // guard
+            if (!this.isLayerReady(l)) return; // guard
             if (l.isPlaying) return;
 
             // Create source and gain
-            l.source = this.audioContext.createBufferSource();
+            l.source = this.createLayerSource(l, true); // part layers are looping
             l.gainNode = this.audioContext.createGain();
-            l.source.buffer = l.buffer;
-            l.source.loop = true; // part layers are looping
             // Start muted; mixing happens via fades
             l.gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
-            l.source.connect(l.gainNode);
-            l.gainNode.connect(this.musicBus); // Route through music bus
-            l.source.start();
+            this.connectLayerSource(l, l.source, l.gainNode);
+            this.connectLayerOutput(layerId, l.gainNode); // Route through music bus (via the zone panner when spatial)
+            l.source.start(when, this.getLoopOffset(l, when));
             l.isPlaying = true;
+            this.bufferCache.touch(layerId);
+            l.audible = false;
             this.layerGains.set(layerId, l.gainNode);
         });
 
         this.startedParts.add(partId);
         this.lastDebugMessage = `✓ Started ${partId} (${layerSet.size} layers)`;
-        console.log(`Part started: ${partId} (layers: ${[...layerSet].join(', ')})`);
+        const wait = when - this.audioContext.currentTime;
+        console.log(`Part started: ${partId} (layers: ${[...layerSet].join(', ')})${wait > 0.1 ? ` in ${wait.toFixed(2)}s (${quantize})` : ''}`);
+        this.emitEvent('partStart', { partId, layers: [...layerSet], quantize, delay: wait });
+        this.updateAudioDebugPanel();
+    }
+
+    // Stop all layers in a part so it can be restarted later
+    stopPart(partId) {
+        const layerSet = this.partToLayers.get(partId);
+        if (!layerSet) return;
+        layerSet.forEach(layerId => {
+            this.stopLayer(layerId);
+            this.layerGains.delete(layerId);
+        });
+        this.startedParts.delete(partId);
+        console.log(`Part stopped: ${partId}`);
+        this.emitEvent('partStop', { partId });
         this.updateAudioDebugPanel();
     }
 
@@ -278,21 +690,47 @@ class AudioMixer {
     addAudioZone(config) {
         const zone = {
             id: config.id,
-            center: config.center, // {lat, lng}
-            radius: config.radius, // in meters
+            shape: config.shape || ZoneShape.circle(config.center, config.radius), // circle, polygon or corridor (zoneShape.js)
+            center: config.center || (config.shape && config.shape.center), // {lat, lng}
+            radius: config.radius, // in meters (circles)
             audioLayers: config.audioLayers, // array of layer IDs
             fadeDistance: config.fadeDistance || 50, // fade distance in meters
             maxVolume: config.maxVolume || 1.0,
+            fadeCurve: config.fadeCurve ? new FadeCurve(config.fadeCurve) : null, // null = default curve
+            quantize: config.quantize ?? null, // musical grid for this zone's layers (transportClock.js)
+            spatial: config.spatial ?? null, // false keeps the zone centered when spatial mode is on
+            effects: Array.isArray(config.effects) && config.effects.length ? config.effects : null, // shared by the zone's layers
+            effectsChain: null,
             isOneshot: config.isOneshot || false, // CRITICAL: preserve oneshot flag
+            trigger: config.trigger || {}, // oneshot rules: maxAccuracy_m, minProbability, confirmFixes
+            ducking: config.ducking || {}, // oneshots: music ducking envelope (see duckingDefaults)
+            story: config.story || {}, // requires / disabledBy / sets / clears / branch (storyEngine.js)
+            priority: typeof config.priority === 'number' ? config.priority : null, // oneshots: concurrency; music zones: exclusive group (default 0)
+            concurrency: config.concurrency || null, // oneshots: queue | interrupt | layer | drop (see oneshotPolicy)
+            maxWait_s: typeof config.maxWait_s === 'number' ? config.maxWait_s : null,
+            exclusiveGroup: config.exclusiveGroup || null, // music zones: overlapping zones in a group follow priority and the group's mix mode
+            schedule: config.schedule || null, // Schedule (schedule.js): time of day / calendar the zone is active
+            hysteresis: config.hysteresis || {} // music zones: enter_m, exit_m
         };
         this.audioZones.push(zone);
+        this.geofence.addZone(zone);
+        this.story.addZone(zone);
+        if (!zone.isOneshot) {
+            (zone.audioLayers || []).forEach(layerId => {
+                if (!this.layerZones.has(layerId)) this.layerZones.set(layerId, zone);
+            });
+        }
+        if (zone.quantize !== null) {
+            (zone.audioLayers || []).forEach(layerId => this.zoneQuantize.set(layerId, zone.quantize));
+        }
         console.log(`Audio zone added: ${zone.id} (oneshot: ${zone.isOneshot})`);
     }
 
     // Play a specific layer with volume control
-    playLayer(layerId, volume = 1.0, loop = true) {
+    // when: optional AudioContext time to start at (quantized entry)
+    playLayer(layerId, volume = 1.0, loop = true, when = null) {
         const layer = this.audioLayers.get(layerId);
-        if (!layer || !layer.buffer) {
+        if (!this.isLayerReady(layer)) {
             console.warn(`Layer ${layerId} not found or not loaded`);
             return;
         }
@@ -314,30 +752,33 @@ class AudioMixer {
         }
 
         // Create new source
-        const source = this.audioContext.createBufferSource();
-        source.buffer = layer.buffer;
-        source.loop = loop;
+        const source = this.createLayerSource(layer, loop);
 
         // Create gain node for this layer - START AT ZERO to prevent blips
         const gainNode = this.audioContext.createGain();
         const currentTime = this.audioContext.currentTime;
         gainNode.gain.setValueAtTime(0, currentTime); // Start silent
         
-        // Connect: source -> gain -> musicBus -> masterGain -> destination
-        source.connect(gainNode);
-        gainNode.connect(this.musicBus); // Route through music bus
+        // Connect: source -> gain -> [zone panner] -> musicBus -> masterGain -> destination
+        this.connectLayerSource(layer, source, gainNode);
+        this.connectLayerOutput(layerId, gainNode); // Route through music bus
 
         // Store references
         layer.source = source;
         layer.gainNode = gainNode;
         layer.isPlaying = true;
+        this.bufferCache.touch(layerId);
 
-        // Start playback (silent)
-        source.start();
+        // Start playback (silent); loops join the shared transport at the matching offset
+        const startAt = when && when > currentTime ? when : currentTime;
+        if (loop) this.transport.start(startAt);
+        source.start(startAt, loop ? this.getLoopOffset(layer, startAt) : 0);
+        layer.audible = volume > 0;
         
         // Fade in to target volume over 50ms to prevent blips
-        const targetGain = volume * this.masterVolume;
-        gainNode.gain.linearRampToValueAtTime(targetGain, currentTime + 0.05);
+        const targetGain = volume * this.masterVolume * this.getLoudnessGain(layer);
+        gainNode.gain.setValueAtTime(0, startAt);
+        gainNode.gain.linearRampToValueAtTime(targetGain, startAt + 0.05);
         
         console.log(`🔊 Playing layer: ${layerId} vol=${volume} gain=${targetGain} (fading in)`);
         
@@ -353,6 +794,7 @@ class AudioMixer {
         const playingLayers = [];
         const loadingLayers = [];
         const loadedLayers = [];
+        const streamingCount = [...this.audioLayers.values()].filter(layer => layer.stream).length;
         const registeredLayers = [];
         const noUrlLayers = [];
         const startedParts = [];
@@ -365,7 +807,7 @@ class AudioMixer {
             }
             if (layer.isPlaying && layer.gainNode) {
                 playingLayers.push(`${id}: vol=${layer.gainNode.gain.value.toFixed(2)}`);
-            } else if (layer.buffer) {
+            } else if (this.isLayerReady(layer)) {
                 loadedLayers.push(id);
             }
         });
@@ -381,16 +823,15 @@ class AudioMixer {
         
         const activeOneshotsList = Array.from(this.activeOneshots);
         
-        // Oneshot completion status (1-9 + finale)
-        const oneshotStatus = [];
-        for (let i = 1; i <= 9; i++) {
-            const zoneId = `oneshot_${i}`;
-            const played = this.playedOneshots.has(zoneId);
-            oneshotStatus.push(`${played ? '✅' : '⬜'} ${i}`);
-        }
-        const finaleZoneId = 'oneshot_finale';
-        const finalePlayed = this.playedOneshots.has(finaleZoneId);
-        oneshotStatus.push(`${finalePlayed ? '✅' : '⬜'} F`);
+        // Oneshot story status, for whatever oneshots and rules are configured
+        const stateIcons = { played: '✅', available: '⬜', locked: '🔒', disabled: '⛔' };
+        const oneshotStatus = this.story.getGraph().map(node =>
+            `<span title="${node.reason || node.state}">${stateIcons[node.state]} ${node.id.replace(/^oneshot_?/i, '')}${node.branch ? ` <em>(${node.branch})</em>` : ''}</span>`);
+        const storyFlags = [...this.story.flags].filter(flag => !this.story.zones.has(flag));
+        const offSchedule = [
+            ...this.audioZones.filter(zone => !this.isScheduled(zone)).map(zone => zone.id),
+            ...[...this.audioLayers.entries()].filter(([, layer]) => !this.isScheduled(layer)).map(([layerId]) => layerId)
+        ];
         
         // Get oneshot proximity info (stored by updateLocationAudio)
         const proximityInfo = this._oneshotProximity || [];
@@ -403,21 +844,32 @@ class AudioMixer {
             <strong>Context:</strong> ${this.audioContext ? this.audioContext.state : 'null'}<br>
             <strong>Master Vol:</strong> ${this.masterVolume.toFixed(2)}<br>
             <strong>Music Bus:</strong> ${this.musicBus ? (this.musicBus.gain.value * 100).toFixed(0) + '%' : 'N/A'}<br>
+            <strong>Transport:</strong> ${this.getTransportLabel()}<br>
+            <strong>Buffers:</strong> ${this.bufferCache}<br>
+            <strong>Dynamics:</strong> ${Object.keys(this.busDynamics).length ? Object.entries(this.busDynamics).map(([bus, dynamics]) => `${bus}: ${dynamics}`).join(', ') : 'none'}<br>
+            ${this.loudness.options.enabled ? `<strong>Loudness:</strong> target ${this.loudness.options.target} dB<br>` : ''}
+            <strong>Bus FX:</strong> ${Object.keys(this.busEffects).length ? Object.entries(this.busEffects).map(([bus, chain]) => `${bus}: ${chain}`).join(', ') : 'none'}<br>
+            ${this._motion ? `<strong>Motion:</strong> ${this._motion.speed.toFixed(1)} m/s · still ${Math.round(MotionModulation.readSource('stillSeconds', this._motion))}s · ${Math.round(this._motion.distanceWalked || 0)} m walked<br>` : ''}
+            <strong>Spatial:</strong> ${this.spatial.options.enabled ? `🎧 ${this.spatial.panners.size} zones, heading ${Math.round(this.spatial.heading)}°` : 'off'}<br>
             ${this.lastDebugMessage ? `<strong style="color:#ff6b00;">Debug:</strong> ${this.lastDebugMessage}<br>` : ''}
-            <strong>Oneshots Completed:</strong><br>
+            <strong>Oneshots:</strong><br>
             <div style="display:grid;grid-template-columns:repeat(3,1fr);gap:4px;font-size:0.9em;margin:4px 0;">
-                ${oneshotStatus.map(s => `<span>${s}</span>`).join('')}
+                ${oneshotStatus.join('')}
             </div>
-            ${nearbyOneshots.length > 0 ? `<strong style="color:#00ff00;">📍 Nearby Oneshots:</strong><br>${nearbyOneshots.map(o => `• ${o.id}: ${o.distance}m (trigger: ${o.radius}m)`).join('<br>')}<br>` : ''}
+            ${storyFlags.length > 0 ? `<strong>Story Flags:</strong> ${storyFlags.join(', ')}<br>` : ''}
+            ${offSchedule.length > 0 ? `<strong>Off Schedule:</strong> ${offSchedule.join(', ')}<br>` : ''}
+            ${this._groupSummary && this._groupSummary.length > 0 ? `<strong>Groups:</strong><br>${this._groupSummary.map(g => `• ${g}`).join('<br>')}<br>` : ''}
+            ${nearbyOneshots.length > 0 ? `<strong style="color:#00ff00;">📍 Nearby Oneshots:</strong><br>${nearbyOneshots.map(o => `• ${o.id}: ${o.distance}m to trigger edge${o.status ? ` (${o.status})` : ''}`).join('<br>')}<br>` : ''}
             <strong>Active Oneshots (${activeOneshotsList.length}):</strong><br>
             ${activeOneshotsList.length > 0 ? activeOneshotsList.map(id => `• ${id}`).join('<br>') : '• None'}<br>
+            ${this.oneshotQueue.length > 0 ? `<strong>Oneshot Queue (${this.oneshotQueue.length}):</strong><br>${this.oneshotQueue.map(item => `• ${item.zone.id} (priority ${item.priority}, ${((Date.now() - item.queuedAt) / 1000).toFixed(0)}s)`).join('<br>')}<br>` : ''}
             <strong>Parts:</strong><br>
             ${partInfo.length > 0 ? partInfo.map(p => `• ${p}`).join('<br>') : '• None'}<br>
             <strong>Playing (${playingLayers.length}):</strong><br>
             ${playingLayers.length > 0 ? playingLayers.map(l => `• ${l}`).join('<br>') : '• None'}<br>
             <strong>Loading (${loadingLayers.length}):</strong><br>
             ${loadingLayers.length > 0 ? Array.from(loadingLayers).map(l => `⏳ ${l}`).join('<br>') : '• None'}<br>
-            <strong>Loaded:</strong> ${loadedLayers.length}
+            <strong>Loaded:</strong> ${loadedLayers.length}${streamingCount ? ` (${streamingCount} streaming)` : ''}
         `;
     }
 
@@ -433,6 +885,8 @@ class AudioMixer {
         layer.isPlaying = false;
         layer.source = null;
         layer.gainNode = null;
+        layer.audible = false;
+        layer.entryAt = null;
         
         console.log(`Stopped layer: ${layerId}`);
     }
@@ -446,14 +900,16 @@ class AudioMixer {
         
         if (layer.gainNode) {
             layer.gainNode.gain.setValueAtTime(
-                layer.volume * this.masterVolume,
+                layer.volume * this.masterVolume * this.getLoudnessGain(layer),
                 this.audioContext.currentTime
             );
         }
     }
 
     // Fade layer volume over time
-    fadeLayer(layerId, targetVolume, duration = 1.0) {
+    // curve (a FadeCurve) shapes the gain ramp; linear when omitted.
+    // when: optional AudioContext time to begin the fade (quantized entry); holds until then.
+    fadeLayer(layerId, targetVolume, duration = 1.0, curve = null, when = null) {
         const layer = this.audioLayers.get(layerId);
         if (!layer) {
             console.log(`⚠️ fadeLayer: ${layerId} not found`);
@@ -468,14 +924,36 @@ class AudioMixer {
         }
 
         const currentTime = this.audioContext.currentTime;
-        const currentGain = gainNode.gain.value;
-        const targetGain = targetVolume * this.masterVolume;
-        
-        gainNode.gain.setValueAtTime(currentGain, currentTime);
-        gainNode.gain.linearRampToValueAtTime(targetGain, currentTime + duration);
+        const gain = gainNode.gain;
+        const currentGain = gain.value;
+        const targetGain = targetVolume * this.masterVolume * this.getLoudnessGain(layer);
+        const startAt = when && when > currentTime ? when : currentTime;
+
+        // Drop whatever ramp is still running; hold where it got to
+        if (typeof gain.cancelAndHoldAtTime === 'function') {
+            gain.cancelAndHoldAtTime(currentTime);
+        } else {
+            gain.cancelScheduledValues(currentTime);
+        }
+
+        if (!curve || curve.type === 'linear' || currentGain === targetGain) {
+            gain.setValueAtTime(currentGain, startAt);
+            gain.linearRampToValueAtTime(targetGain, startAt + duration);
+        } else {
+            try {
+                if (startAt > currentTime) gain.setValueAtTime(currentGain, currentTime);
+                gain.setValueCurveAtTime(curve.rampValues(currentGain, targetGain), startAt, duration);
+            } catch (e) {
+                // Overlapping automation (browsers without cancelAndHoldAtTime): clear it and ramp linearly
+                gain.cancelScheduledValues(0);
+                gain.setValueAtTime(currentGain, startAt);
+                gain.linearRampToValueAtTime(targetGain, startAt + duration);
+            }
+        }
         
         layer.volume = targetVolume;
-        console.log(`🎚️ Fading ${layerId}: ${currentGain.toFixed(3)} → ${targetGain.toFixed(3)} over ${duration}s`);
+        layer.audible = targetVolume > 0;
+        console.log(`🎚️ Fading ${layerId}: ${currentGain.toFixed(3)} → ${targetGain.toFixed(3)} over ${duration}s${curve ? ` (${curve})` : ''}`);
         
         // Update debug panel to show new volume
         setTimeout(() => this.updateAudioDebugPanel(), duration * 1000 + 100);
@@ -492,58 +970,75 @@ class AudioMixer {
         }
     }
 
-    // Update audio based on location
-    async updateLocationAudio(position) {
-        if (!position || !this.isReady()) return;
+    // Update audio from a geofence snapshot (distances and zone membership)
+    async updateLocationAudio(snapshot) {
+        if (!snapshot || !snapshot.position || !this.isReady()) return;
+        const position = snapshot.position;
+
+        // Place spatial zones around the listener before any volumes change
+        this.updateSpatial(snapshot);
 
         // --- Step 1: Handle Oneshots ---
         const oneshotDistances = []; // Track all oneshot distances for debugging
         
-        this.audioZones.forEach(zone => {
+        snapshot.zones.forEach(({ zone, edgeDistance }) => {
             if (!zone.isOneshot) return;
             
-            const distance = this.calculateDistance(position.latitude, position.longitude, zone.center.lat, zone.center.lng);
-            const triggerRadius = Math.max(1, zone.radius || 10);
+            // Distance to the trigger edge (negative inside)
+            const distance = edgeDistance;
             const alreadyPlayed = this.playedOneshots.has(zone.id);
+            const check = alreadyPlayed || this.isOneshotQueued(zone.id) ? null : this.evaluateOneshotTrigger(zone, distance, position);
             
             // Log proximity to ALL oneshots for debugging
             oneshotDistances.push({
                 id: zone.id,
                 distance: distance.toFixed(1),
-                radius: triggerRadius,
                 played: alreadyPlayed,
-                willTrigger: distance <= triggerRadius && !alreadyPlayed
+                status: check ? check.status : '',
+                willTrigger: !!(check && check.fire)
             });
             
-            if (distance <= triggerRadius && !alreadyPlayed) {
-                // If finale has been played, don't trigger any more oneshots
-                if (this.playedOneshots.has('oneshot_finale') && zone.id !== 'oneshot_finale') {
-                    console.log(`🏁 Walk completed - ignoring ${zone.id}`);
+            if (check && check.fire) {
+                // Outside its schedule the oneshot waits; it isn't marked played and can fire on a later pass
+                if (!this.isScheduled(zone)) {
+                    console.log(`🕰️ ${zone.id} off schedule (${zone.schedule})`);
+                    this.lastDebugMessage = `${zone.id} off schedule`;
+                    this.updateAudioDebugPanel();
                     return;
                 }
-                
-                // Special check for finale oneshot - only requires oneshot9 to have been played
-                if (zone.id === 'oneshot_finale') {
-                    const oneshot9Played = this.playedOneshots.has('oneshot_9');
-                    
-                    if (!oneshot9Played) {
-                        console.log(`🔒 Finale locked: oneshot9 not yet played (distance: ${distance.toFixed(1)}m)`);
-                        this.lastDebugMessage = `Finale locked: need oneshot9 first`;
-                        this.updateAudioDebugPanel();
-                        return; // Don't trigger finale yet
-                    }
-                    console.log(`🎉 Oneshot9 completed! Triggering finale!`);
+
+                // Story rules (storyEngine.js): prerequisites, branches and flags decide whether it may fire
+                const gate = this.story.check(zone.id);
+                if (!gate.allowed) {
+                    console.log(`🔒 ${zone.id} ${gate.state}: ${gate.reason} (distance: ${distance.toFixed(1)}m)`);
+                    this.lastDebugMessage = `${zone.id} ${gate.state}: ${gate.reason}`;
+                    this.updateAudioDebugPanel();
+                    return;
                 }
-                
-                this.playedOneshots.add(zone.id);
-                console.log(`💥 Oneshot triggered: ${zone.id} (distance: ${distance.toFixed(1)}m, radius: ${triggerRadius}m, accuracy: ±${position.accuracy?.toFixed(1) || '?'}m)`);
+
+                // Another oneshot playing? The concurrency policy decides
+                const action = this.getOneshotAction(zone);
+                this.oneshotConfirmations.delete(zone.id);
+                if (action === 'drop') {
+                    console.log(`🚫 Oneshot dropped: ${zone.id} (another oneshot is playing)`);
+                    this.lastDebugMessage = `Dropped: ${zone.id} (busy)`;
+                    this.emitEvent('oneshotDrop', { zoneId: zone.id, reason: 'busy' });
+                    this.updateAudioDebugPanel();
+                    return;
+                }
+
+                console.log(`💥 Oneshot triggered: ${zone.id} (edge distance: ${distance.toFixed(1)}m, accuracy: ±${position.accuracy?.toFixed(1) || '?'}m, ${check.status}, ${action})`);
                 this.lastDebugMessage = `Triggered: ${zone.id} @ ${distance.toFixed(1)}m`;
+                this.emitEvent('oneshotTrigger', { zoneId: zone.id, distance, accuracy: position.accuracy ?? null, action });
+
+                if (action === 'queue') {
+                    this.oneshotQueue.push({ zone, priority: this.getOneshotSettings(zone).priority, queuedAt: Date.now() });
+                    console.log(`⏳ Oneshot queued: ${zone.id} (${this.oneshotQueue.length} waiting)`);
+                } else {
+                    if (action === 'interrupt') this.interruptOneshots(this.getOneshotSettings(zone).interruptFade);
+                    this.startOneshotZone(zone);
+                }
                 this.updateAudioDebugPanel();
-                
-                zone.audioLayers.forEach(async (layerId) => {
-                    await this.ensureLayerLoaded(layerId);
-                    this.playOneShot(layerId);
-                });
             }
         });
         
@@ -562,30 +1057,65 @@ class AudioMixer {
 
         // --- Step 2: Calculate Music Layer Volumes and Identify Active Layers ---
         const layerTargetVolumes = new Map();
-        for (const zone of this.audioZones) {
+        const layerCurves = new Map(); // layerId -> FadeCurve of the zone that sets its volume
+        const layerProgress = new Map(); // layerId -> fade progress of that zone, for distance-driven effects
+        const zoneLevels = [];
+        const now = new Date();
+        for (const { zone, edgeDistance: distance, inside: insideZone, enterAt } of snapshot.zones) {
             if (zone.isOneshot) continue;
+            // Zones switched off by story flags or their schedule fade out as if the walker had left them
+            const inside = insideZone && this.story.isEnabled(zone.id) && this.isScheduled(zone, now);
 
-            const distance = this.calculateDistance(position.latitude, position.longitude, zone.center.lat, zone.center.lng);
+            // Distances are measured from the zone edge (negative inside), so circles,
+            // polygons and corridors fade the same way
+            const curve = zone.fadeCurve || this.defaultFadeCurve;
             let volume = 0;
-            if (distance <= zone.radius) {
-                const fadeStart = Math.max(0, zone.radius - zone.fadeDistance);
-                volume = (distance <= fadeStart)
-                    ? zone.maxVolume
-                    : zone.maxVolume * ((zone.radius - distance) / zone.fadeDistance);
+            let progress = 0; // 0 = silent edge, 1 = full volume
+            if (inside) {
+                // The fade is anchored where the zone switches on (enter_m inside the edge); exit_m only
+                // decides when the walker counts as outside, so jitter there stays silent instead of cutting in
+                const edge = enterAt;
+                const fadeStart = edge - zone.fadeDistance;
+                progress = (distance <= fadeStart) ? 1 : Math.max(0, (edge - distance) / zone.fadeDistance);
+                volume = (distance <= fadeStart) ? zone.maxVolume : zone.maxVolume * curve.valueAt(progress);
                 this.lastDebugMessage = `Zone ${zone.id}: dist=${distance.toFixed(0)}m, vol=${volume.toFixed(2)}`;
             }
+            if (zone.effectsChain && zone.effectsChain.followsDistance) zone.effectsChain.applyDistance(progress);
+            zoneLevels.push({ zone, volume, progress, curve });
+        }
 
+        // Overlapping zones in an exclusive group: priority fades out the lower ones, then the group's mix mode applies
+        this.applyExclusiveGroups(zoneLevels);
+
+        for (const { zone, volume, progress, curve } of zoneLevels) {
+            const group = this.getGroupSettings(zone);
+            const sum = group?.mode === 'sum';
             zone.audioLayers.forEach(layerId => {
+                // Layers outside their schedule stay silent (e.g. day and night stems of one zone)
+                if (!this.isScheduled(this.audioLayers.get(layerId), now)) return;
                 const currentTargetVol = layerTargetVolumes.get(layerId) || 0;
-                layerTargetVolumes.set(layerId, Math.max(currentTargetVol, volume));
+                if (volume > currentTargetVol || !layerCurves.has(layerId)) {
+                    layerCurves.set(layerId, curve);
+                    layerProgress.set(layerId, progress);
+                }
+                // A layer shared by several zones of a sum group adds up to the group's headroom, no further
+                layerTargetVolumes.set(layerId, sum ? Math.min(group.headroom, currentTargetVol + volume) : Math.max(currentTargetVol, volume));
             });
         }
+        layerProgress.forEach((progress, layerId) => {
+            const chain = this.audioLayers.get(layerId)?.effectsChain;
+            if (chain && chain.followsDistance) chain.applyDistance(progress);
+        });
+        const motion = snapshot.position && snapshot.position.motion;
+        if (motion) this.applyModulation(motion, layerTargetVolumes);
 
         // --- Step 3: Start Queued Parts ---
         const partsToStart = new Set();
+        const activeParts = new Set(); // parts with at least one audible layer
         for (const layerId of layerTargetVolumes.keys()) {
             if (layerTargetVolumes.get(layerId) > 0) {
                 const partId = this.layerToPart.get(layerId);
+                if (partId) activeParts.add(partId);
                 if (partId && !this.startedParts.has(partId)) {
                     partsToStart.add(partId);
                 }
@@ -611,24 +1141,29 @@ class AudioMixer {
             if (layerId.startsWith('oneshot')) return;
 
             const targetVolume = layerTargetVolumes.get(layerId) || 0;
+            const curve = layerCurves.get(layerId) || this.defaultFadeCurve;
 
             if (targetVolume > 0) {
+                // Entries from silence wait for the layer's beat/bar/phrase boundary
+                const when = this.getEntryTime(layerId, layer);
                 if (!layer.isPlaying) {
-                    this.playLayer(layerId, targetVolume);
+                    // loop: false plays once from the top (no phase lock), which is what rate modulation acts on
+                    this.playLayer(layerId, targetVolume, layer.loop !== false, when);
                 } else {
-                    this.fadeLayer(layerId, targetVolume, 0.4);
+                    this.fadeLayer(layerId, targetVolume, 0.4, curve, when);
                 }
             } else if (layer.isPlaying) {
+                layer.entryAt = null;
                 const partId = this.layerToPart.get(layerId);
                 if (partId) {
-                    this.fadeLayer(layerId, 0, 0.8);
+                    this.fadeLayer(layerId, 0, 0.8, curve);
                     // Track silent parts to stop them after a delay
                     if (!this.silentParts) this.silentParts = new Map();
                     if (!this.silentParts.has(partId)) {
                         this.silentParts.set(partId, Date.now());
                     }
                 } else {
-                    this.fadeLayer(layerId, 0, 0.8);
+                    this.fadeLayer(layerId, 0, 0.8, curve);
                     setTimeout(() => this.stopLayer(layerId), 900);
                 }
             }
@@ -653,17 +1188,360 @@ class AudioMixer {
             }
         });
 
+        this.releaseFarBuffers(snapshot);
         this.updateAudioDebugPanel();
     }
 
-    // Play a oneshot layer once at max volume, no fades
-    playOneShot(layerId) {
+    // Buffer budget settings (globalSettings.bufferCache)
+    configureBufferCache(settings = {}) {
+        this.bufferCache.configure(settings);
+    }
+
+    // Over budget: drop decoded buffers of silent layers whose zones are far away (or done with:
+    // played or story-disabled oneshots), least recently used first. ensureLayerLoaded brings them back.
+    releaseFarBuffers(snapshot) {
+        const layerDistance = new Map(); // layerId -> nearest edge distance of a zone that uses it
+        snapshot.zones.forEach(({ zone, edgeDistance }) => {
+            const finished = this.playedOneshots.has(zone.id) || this.story.check(zone.id).state === 'disabled';
+            const distance = zone.isOneshot && finished ? Infinity : edgeDistance;
+            (zone.audioLayers || []).forEach(layerId => {
+                layerDistance.set(layerId, Math.min(layerDistance.get(layerId) ?? Infinity, distance));
+            });
+        });
+
+        const keep = this.bufferCache.options.keepDistance_m;
+        const evict = this.bufferCache.selectEvictions(layerId => {
+            const layer = this.audioLayers.get(layerId);
+            if (!layer || !layer.buffer || layer.isPlaying || this.activeOneshots.has(layerId) || this.loadingLayers.has(layerId)) return false;
+            return (layerDistance.get(layerId) ?? Infinity) > keep;
+        });
+        evict.forEach(layerId => {
+            this.audioLayers.get(layerId).buffer = null;
+            this.bufferCache.remove(layerId);
+            console.log(`🗑️ Released buffer: ${layerId}`);
+        });
+        if (evict.length) this.emitEvent('bufferRelease', { layers: evict, cache: this.bufferCache.toString() });
+    }
+
+    // Motion modulation settings (globalSettings.modulation: { smoothing })
+    configureModulation(settings = {}) {
+        if (typeof settings.smoothing === 'number') this.modulationSmoothing = Math.max(0, settings.smoothing);
+    }
+
+    // Walking speed, time standing still and distance walked drive layer volume, cutoff and rate
+    // (motionModulation.js). Scales layerTargetVolumes in place.
+    applyModulation(motion, layerTargetVolumes) {
+        this._motion = motion;
+        this.audioLayers.forEach((layer, layerId) => {
+            if (!layer.modulation) return;
+            const values = layer.modulation.evaluate(motion);
+            layer.modulated = values;
+            if (layerTargetVolumes.has(layerId)) layerTargetVolumes.set(layerId, layerTargetVolumes.get(layerId) * values.volume);
+            if (!this.audioContext) return;
+            if (values.cutoff !== null && layer.modFilter) {
+                layer.modFilter.frequency.setTargetAtTime(values.cutoff, this.audioContext.currentTime, this.modulationSmoothing / 3);
+            }
+            // Looping sources stay at rate 1 so they keep the phase lock with every other loop (getLoopOffset)
+            if (values.rate !== null && layer.isPlaying && layer.source && !layer.source.loop) this.setSourceRate(layer.source, values.rate);
+        });
+    }
+
+    // Is a zone or layer inside its schedule (schedule.js)? No schedule means always
+    isScheduled(item, date = new Date()) {
+        return !item || !item.schedule || item.schedule.isActive(date);
+    }
+
+    // Exclusive group settings (globalSettings.exclusiveGroups: { name: { mode, headroom } })
+    configureExclusiveGroups(groups = {}) {
+        this.exclusiveGroups = { ...groups };
+    }
+
+    // Mix settings for a zone's exclusive group, or null if it has none
+    getGroupSettings(zone) {
+        if (!zone.exclusiveGroup) return null;
+        return { mode: 'max', headroom: 1.0, ...(this.exclusiveGroups && this.exclusiveGroups[zone.exclusiveGroup]) };
+    }
+
+    // Adjust zone volumes within each exclusive group (in place):
+    //   priority   - a zone is scaled by 1 - (presence of the strongest higher-priority zone), so walking
+    //                into a higher-priority zone fades the others out along its own fade curve
+    //   max        - layers take the loudest zone (default)
+    //   sum        - layers add up; the group's total volume is limited to `headroom`
+    //   normalized - zones share the group: weights (volume / maxVolume) are scaled to sum to at most 1
+    applyExclusiveGroups(zoneLevels) {
+        const groups = new Map();
+        zoneLevels.forEach(level => {
+            if (!level.zone.exclusiveGroup) return;
+            if (!groups.has(level.zone.exclusiveGroup)) groups.set(level.zone.exclusiveGroup, []);
+            groups.get(level.zone.exclusiveGroup).push(level);
+        });
+
+        const summary = [];
+        groups.forEach((members, name) => {
+            const settings = this.getGroupSettings(members[0].zone);
+            const presence = (level) => level.zone.maxVolume > 0 ? level.volume / level.zone.maxVolume : 0;
+
+            // Highest priority first, so each zone is suppressed by already-final levels above it
+            members.sort((a, b) => (b.zone.priority ?? 0) - (a.zone.priority ?? 0));
+            members.forEach(level => {
+                const above = members
+                    .filter(other => (other.zone.priority ?? 0) > (level.zone.priority ?? 0))
+                    .reduce((strongest, other) => Math.max(strongest, presence(other)), 0);
+                level.volume *= 1 - above;
+            });
+
+            if (settings.mode === 'sum') {
+                const total = members.reduce((sum, level) => sum + level.volume, 0);
+                if (total > settings.headroom) members.forEach(level => { level.volume *= settings.headroom / total; });
+            } else if (settings.mode === 'normalized') {
+                const total = members.reduce((sum, level) => sum + presence(level), 0);
+                if (total > 1) members.forEach(level => { level.volume /= total; });
+            }
+
+            const audible = members.filter(level => level.volume > 0.001);
+            if (audible.length) summary.push(`${name} (${settings.mode}): ${audible.map(level => `${level.zone.id} ${level.volume.toFixed(2)}`).join(', ')}`);
+        });
+        this._groupSummary = summary;
+    }
+
+    // Decide whether a fix should fire a oneshot, honouring the zone's accuracy rules.
+    // Rules (props.trigger, defaults from globalSettings.triggerDefaults):
+    //   maxAccuracy_m  - ignore fixes whose accuracy is worse than this
+    //   minProbability - require P(inside radius) >= this instead of a plain distance check
+    //   confirmFixes   - require N consecutive qualifying fixes
+    // distance is the signed distance to the zone edge (negative inside).
+    evaluateOneshotTrigger(zone, distance, position) {
+        const rules = { ...this.triggerDefaults, ...zone.trigger };
+        const accuracy = position.accuracy || 0;
+        const pending = this.oneshotConfirmations.get(zone.id);
+
+        let qualifies;
+        let status;
+        if (position.estimated) {
+            // Dead-reckoned positions keep the music moving but never fire voiceovers
+            qualifies = false;
+            status = 'estimated position';
+        } else if (typeof rules.maxAccuracy_m === 'number' && accuracy > rules.maxAccuracy_m) {
+            qualifies = false;
+            status = `accuracy ±${accuracy.toFixed(0)}m > ${rules.maxAccuracy_m}m`;
+        } else if (typeof rules.minProbability === 'number') {
+            const p = this.probabilityInside(distance, accuracy);
+            qualifies = p >= rules.minProbability;
+            status = `p=${p.toFixed(2)}`;
+        } else {
+            qualifies = distance <= 0;
+            status = qualifies ? 'inside' : 'outside';
+        }
+
+        if (!qualifies) {
+            this.oneshotConfirmations.delete(zone.id);
+            return { fire: false, status };
+        }
+
+        // Count each fix once, even if the same position is re-applied (e.g. on resume)
+        const confirmFixes = Math.max(1, rules.confirmFixes || 1);
+        let count = pending ? pending.count : 0;
+        if (!pending || pending.lastTimestamp !== position.timestamp) count++;
+        this.oneshotConfirmations.set(zone.id, { count, lastTimestamp: position.timestamp });
+
+        return { fire: count >= confirmFixes, status: `${status} ${Math.min(count, confirmFixes)}/${confirmFixes}` };
+    }
+
+    // Probability the walker is inside the zone given the signed edge distance and fix accuracy.
+    // Browsers report accuracy at ~95% confidence, so sigma is roughly accuracy / 2;
+    // uses the normal approximation across the edge, which is plenty for a trigger threshold.
+    probabilityInside(edgeDistance, accuracy) {
+        const sigma = Math.max(0.5, accuracy / 2);
+        const z = -edgeDistance / (sigma * Math.SQRT2);
+        // erf approximation (Abramowitz & Stegun 7.1.26)
+        const t = 1 / (1 + 0.3275911 * Math.abs(z));
+        const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496735) * t + 0.254829592) * t * Math.exp(-z * z);
+        const erf = z >= 0 ? y : -y;
+        return 0.5 * (1 + erf);
+    }
+
+    // Meters from position to the closest place where something could change: an unplayed,
+    // not story-disabled oneshot's trigger radius or a music zone's enter/exit edge. null when there are no zones.
+    getNearestBoundaryDistance(position) {
+        return this.geofence.getNearestBoundaryDistance(position, zone => zone.isOneshot && (this.playedOneshots.has(zone.id) || this.story.check(zone.id).state === 'disabled'));
+    }
+
+    // Default fade curve for zones without their own fadeCurve (globalSettings.fadeCurve)
+    setDefaultFadeCurve(spec) {
+        this.defaultFadeCurve = new FadeCurve(spec);
+    }
+
+    // Defaults for oneshot trigger rules (globalSettings.triggerDefaults)
+    setTriggerDefaults(defaults = {}) {
+        this.triggerDefaults = { ...defaults };
+    }
+
+    // Concurrency defaults for every oneshot (globalSettings.oneshotPolicy)
+    setOneshotPolicy(policy = {}) {
+        this.oneshotPolicy = { ...this.oneshotPolicy, ...policy };
+    }
+
+    // A oneshot zone's policy merged over the defaults
+    getOneshotSettings(zone) {
+        const settings = { ...this.oneshotPolicy };
+        if (zone.priority !== null && zone.priority !== undefined) settings.priority = zone.priority;
+        if (zone.concurrency) settings.concurrency = zone.concurrency;
+        if (zone.maxWait_s !== null && zone.maxWait_s !== undefined) settings.maxWait_s = zone.maxWait_s;
+        return settings;
+    }
+
+    // 'play' | 'queue' | 'interrupt' | 'drop' for a oneshot that just fired
+    getOneshotAction(zone) {
+        if (this.playingOneshotZones.size === 0) return 'play';
+        const settings = this.getOneshotSettings(zone);
+        switch (settings.concurrency) {
+            case 'layer':
+                return 'play';
+            case 'drop':
+                return 'drop';
+            case 'interrupt': {
+                const playing = Math.max(...[...this.playingOneshotZones.values()].map(entry => entry.priority));
+                return settings.priority >= playing ? 'interrupt' : 'queue';
+            }
+            default:
+                return 'queue';
+        }
+    }
+
+    // Play every layer of a oneshot zone and track it until all of them have ended.
+    // Only now is it heard, so only now do its story flags move on and does it count as played.
+    startOneshotZone(zone) {
+        this.story.fire(zone.id);
+        this.playedOneshots.add(zone.id);
+        const layers = zone.audioLayers || [];
+        this.playingOneshotZones.set(zone.id, { zone, priority: this.getOneshotSettings(zone).priority, pending: new Set(layers) });
+        if (layers.length === 0) this.finishOneshotLayer(zone.id, null);
+        layers.forEach(async (layerId) => {
+            try {
+                await this.ensureLayerLoaded(layerId);
+            } catch (e) {
+                // playOneShot reports the missing buffer
+            }
+            if (!this.playingOneshotZones.has(zone.id)) return; // reset while loading
+            if (!this.playOneShot(layerId, zone)) this.finishOneshotLayer(zone.id, layerId);
+        });
+    }
+
+    // A oneshot layer ended (or never started); when nothing is playing, the queue moves on
+    finishOneshotLayer(zoneId, layerId) {
+        const entry = this.playingOneshotZones.get(zoneId);
+        if (entry) {
+            entry.pending.delete(layerId);
+            if (entry.pending.size === 0) this.playingOneshotZones.delete(zoneId);
+        }
+        if (this.playingOneshotZones.size === 0) this.playNextQueued();
+    }
+
+    // Fade out and stop every playing oneshot (a higher-priority one takes over)
+    interruptOneshots(fade) {
+        const now = this.audioContext.currentTime;
+        const duration = Math.max(0.01, fade || 0);
+        this.oneshotVoices.forEach(({ source, gain }, layerId) => {
+            gain.gain.cancelScheduledValues(now);
+            gain.gain.setValueAtTime(gain.gain.value, now);
+            gain.gain.linearRampToValueAtTime(0, now + duration);
+            try {
+                source.stop(now + duration);
+            } catch (e) {
+                // already stopped
+            }
+            console.log(`✂️ Oneshot interrupted: ${layerId}`);
+            this.emitEvent('oneshotInterrupt', { layerId });
+        });
+    }
+
+    // Waiting in the oneshot queue (not played yet, so not marked played)
+    isOneshotQueued(zoneId) {
+        return this.oneshotQueue.some(item => item.zone.id === zoneId);
+    }
+
+    // Start the highest-priority queued oneshot, skipping any that waited longer than maxWait_s or
+    // that the story no longer allows (another branch fired meanwhile). Skipped ones leave no trace.
+    playNextQueued() {
+        const now = Date.now();
+        this.oneshotQueue = this.oneshotQueue.filter(item => {
+            const waited = (now - item.queuedAt) / 1000;
+            if (waited <= this.getOneshotSettings(item.zone).maxWait_s) return true;
+            console.log(`⌛ Queued oneshot skipped: ${item.zone.id} (waited ${waited.toFixed(0)}s)`);
+            this.emitEvent('oneshotDrop', { zoneId: item.zone.id, reason: 'expired' });
+            return false;
+        });
+        this.oneshotQueue.sort((a, b) => b.priority - a.priority || a.queuedAt - b.queuedAt);
+        while (this.oneshotQueue.length > 0) {
+            const next = this.oneshotQueue.shift();
+            const gate = this.story.check(next.zone.id);
+            if (!gate.allowed) {
+                console.log(`🔒 Queued oneshot skipped: ${next.zone.id} (${gate.reason})`);
+                this.emitEvent('oneshotDrop', { zoneId: next.zone.id, reason: gate.state });
+                continue;
+            }
+            console.log(`▶️ Playing queued oneshot: ${next.zone.id}`);
+            this.startOneshotZone(next.zone);
+            break;
+        }
+        this.updateAudioDebugPanel();
+    }
+
+    // Ducking defaults for every oneshot (globalSettings.duckingDefaults)
+    setDuckingDefaults(defaults = {}) {
+        this.duckingDefaults = { ...this.duckingDefaults, ...defaults };
+    }
+
+    // Envelope for a oneshot that starts now, timed from its buffer's real duration
+    getDuckEnvelope(layerId, zone, duration, duckAt) {
+        const d = { ...this.duckingDefaults, ...(zone && zone.ducking) };
+        const now = this.audioContext.currentTime;
+        const attackAt = duckAt && duckAt > now ? duckAt : now;
+        const attack = Math.max(0.01, d.attack || 0);
+        const release = Math.max(0.01, d.release || 0);
+        let releaseAt = typeof d.hold === 'number'
+            ? attackAt + attack + d.hold
+            : now + duration - (d.releaseBeforeEnd || 0);
+        releaseAt = Math.max(attackAt + attack, releaseAt);
+        // Releases land on the oneshot's grid like the attack does
+        const quantize = this.getQuantize(layerId);
+        if (this.transport.isRunning() && this.transport.gridSeconds(quantize)) {
+            releaseAt = this.transport.nextBoundary(quantize, releaseAt - this.transport.options.leadTime);
+        }
+        return { level: 1 - Math.max(0, Math.min(1, d.depth ?? 0)), attack, release, releaseAt, attackAt };
+    }
+
+    // Duck the music for every oneshot still before its release: the deepest level wins and the
+    // latest release brings the music back
+    applyDucking(when = null) {
+        const now = this.audioContext.currentTime;
+        const pending = [...this.duckEnvelopes.values()].filter(e => e.releaseAt > now);
+        if (pending.length === 0) return;
+        const deepest = pending.reduce((a, b) => b.level < a.level ? b : a);
+        const last = pending.reduce((a, b) => b.releaseAt > a.releaseAt ? b : a);
+        this.duckMusicBus(deepest.level, deepest.attack, when);
+        const attackEnd = (when && when > now ? when : now) + deepest.attack;
+        this.scheduleDuckRelease(Math.max(attackEnd, last.releaseAt), last.release, deepest.level);
+    }
+
+    // Queue the return to full music volume after a duck (AudioContext time)
+    scheduleDuckRelease(at, duration, fromGain) {
+        this.musicBus.gain.setValueAtTime(fromGain, at);
+        this.musicBus.gain.linearRampToValueAtTime(1.0, at + duration);
+        const delay = at - this.audioContext.currentTime;
+        console.log(`🎚️ Music returns in ${delay.toFixed(1)}s over ${duration}s`);
+        this.emitEvent('duck', { from: fromGain, to: 1.0, duration, delay });
+    }
+
+    // Play a oneshot layer once at max volume, no fades; the music ducks per the zone's envelope.
+    // Returns true if it started.
+    playOneShot(layerId, zone = null) {
         const layer = this.audioLayers.get(layerId);
         if (!layer) {
             console.error(`❌ playOneShot: layer ${layerId} not found`);
             return;
         }
-        if (!layer.buffer) {
+        if (!this.isLayerReady(layer)) {
             console.error(`❌ playOneShot: layer ${layerId} has no buffer`);
             return;
         }
@@ -673,80 +1551,81 @@ class AudioMixer {
             return;
         }
 
-        const source = this.audioContext.createBufferSource();
+        const source = this.createLayerSource(layer, false);
         const gain = this.audioContext.createGain();
-        source.buffer = layer.buffer;
-        source.loop = false;
-        gain.gain.setValueAtTime(1.0, this.audioContext.currentTime); // Full volume
-        source.connect(gain);
+        gain.gain.setValueAtTime(this.getLoudnessGain(layer), this.audioContext.currentTime); // Full volume (normalized)
+        this.connectLayerSource(layer, source, gain);
         gain.connect(this.oneshotBus); // Route through oneshot bus, not master
 
         this.activeOneshots.add(layerId);
+        this.oneshotVoices.set(layerId, { source, gain });
         layer.isPlaying = true;
+        this.bufferCache.touch(layerId);
         source.start();
+        this.emitEvent('oneshotStart', { layerId, duration: this.getLayerDuration(layer) });
         
         console.log(`💥 Oneshot playing: ${layerId} at full volume via oneshot bus`);
         this.lastDebugMessage = `Playing oneshot: ${layerId}`;
         this.updateAudioDebugPanel();
 
-        // Apply ducking based on which oneshot is playing
-        if (layerId === 'oneshot8') {
-            // Special case: oneshot8 - drop music to 0, fade back in over last 30 seconds
-            this.duckMusicBus(0, 0.5); // Duck to 0% over 0.5 seconds
-            // Schedule fade back in to start 30 seconds before end (at 55.6 seconds)
-            setTimeout(() => {
-                this.duckMusicBus(1.0, 30); // Fade back to 100% over 30 seconds
-            }, 55600);
-        } else if (layerId === 'oneshot5') {
-            // Special case: oneshot5 (AI takes over) - drop music to 0%, fade back in over last 20 seconds
-            this.duckMusicBus(0, 0.5); // Duck to 0% over 0.5 seconds
-            // Schedule fade back in to start 20 seconds before end (at 70 seconds for 90s track)
-            setTimeout(() => {
-                this.duckMusicBus(1.0, 20); // Fade back to 100% over 20 seconds
-            }, 70000);
-        } else {
-            // Standard ducking: drop to 60%
-            this.duckMusicBus(0.6, 0.3);
-        }
+        // Duck the music (attack snapped to the oneshot's quantize grid) and schedule its return
+        if (!zone) zone = this.audioZones.find(z => z.isOneshot && (z.audioLayers || []).includes(layerId)) || null;
+        const duckAt = this.getDuckTime(layerId);
+        const envelope = this.getDuckEnvelope(layerId, zone, this.getLayerDuration(layer), duckAt);
+        this.duckEnvelopes.set(layerId, envelope);
+        this.applyDucking(duckAt);
 
         source.onended = () => {
+            if (this.oneshotVoices.get(layerId)?.source !== source) return; // a reset or restart already took over
             this.activeOneshots.delete(layerId);
+            this.oneshotVoices.delete(layerId);
             layer.isPlaying = false;
             console.log(`✓ Oneshot finished: ${layerId}`);
-            
-            // Restore music volume when oneshot ends (unless it's oneshot5 or oneshot8, which handle their own fade-in)
-            if (layerId !== 'oneshot5' && layerId !== 'oneshot8' && this.activeOneshots.size === 0) {
-                this.duckMusicBus(1.0, 0.5); // Fade back to 100% over 0.5 seconds
+            this.emitEvent('oneshotEnd', { layerId });
+
+            this.duckEnvelopes.delete(layerId);
+            if (this.duckEnvelopes.size > 0) {
+                this.applyDucking(); // other oneshots still hold the music down
+            } else if (envelope.releaseAt > this.audioContext.currentTime + 0.1) {
+                this.duckMusicBus(1.0, envelope.release); // ended before its release point
             }
+            if (zone) this.finishOneshotLayer(zone.id, layerId);
         };
+        return true;
+    }
+
+    // "91 bpm · bar 3.2" for the debug panel
+    getTransportLabel() {
+        const position = this.audioContext ? this.transport.getPosition(this.audioContext.currentTime) : null;
+        return `${this.transport.options.bpm} bpm · ${position ? `bar ${position.bar}.${position.beat}` : 'stopped'}`;
     }
 
-    // Duck the music bus to a specific gain level
-    duckMusicBus(targetGain, duration) {
+    // Next grid boundary for a oneshot's ducking (null = now) - only while the music transport runs
+    getDuckTime(layerId) {
+        const quantize = this.getQuantize(layerId);
+        if (!this.transport.isRunning() || !this.transport.gridSeconds(quantize)) return null;
+        return this.transport.nextBoundary(quantize, this.audioContext.currentTime);
+    }
+
+    // Duck the music bus to a specific gain level (when: optional AudioContext start time)
+    duckMusicBus(targetGain, duration, when = null) {
         if (!this.musicBus) return;
         
         const currentTime = this.audioContext.currentTime;
+        const startAt = when && when > currentTime ? when : currentTime;
         this.musicBus.gain.cancelScheduledValues(currentTime);
         this.musicBus.gain.setValueAtTime(this.musicBus.gain.value, currentTime);
-        this.musicBus.gain.linearRampToValueAtTime(targetGain, currentTime + duration);
+        this.musicBus.gain.setValueAtTime(this.musicBus.gain.value, startAt);
+        this.musicBus.gain.linearRampToValueAtTime(targetGain, startAt + duration);
         
-        console.log(`🎚️ Ducking music bus: ${(this.musicBus.gain.value * 100).toFixed(0)}% → ${(targetGain * 100).toFixed(0)}% over ${duration}s`);
+        const delay = startAt - currentTime;
+        console.log(`🎚️ Ducking music bus: ${(this.musicBus.gain.value * 100).toFixed(0)}% → ${(targetGain * 100).toFixed(0)}% over ${duration}s${delay > 0.1 ? ` in ${delay.toFixed(2)}s` : ''}`);
+        this.emitEvent('duck', { from: this.musicBus.gain.value, to: targetGain, duration, delay });
     }
 
-    // Calculate distance between two points
+    // Calculate distance between two points (in meters; see geo.js)
     calculateDistance(lat1, lon1, lat2, lon2) {
-        const R = 6371e3; // Earth's radius in meters
-        const φ1 = lat1 * Math.PI/180;
-        const φ2 = lat2 * Math.PI/180;
-        const Δφ = (lat2-lat1) * Math.PI/180;
-        const Δλ = (lon2-lon1) * Math.PI/180;
-
-        const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-                  Math.cos(φ1) * Math.cos(φ2) *
-                  Math.sin(Δλ/2) * Math.sin(Δλ/2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-
-        return R * c;
+        return Geo.distance(lat1, lon1, lat2, lon2);
     }
 
     // Get active layers info
@@ -775,15 +1654,33 @@ class AudioMixer {
         this.stopAll();
         this.startedParts.clear();
         this.playedOneshots.clear();
+        this.story.reset();
         this.activeOneshots.clear();
+        this.oneshotConfirmations.clear();
+        this.duckEnvelopes.clear();
+        this.oneshotQueue = [];
+        this.playingOneshotZones.clear();
+        this.oneshotVoices.forEach(({ source }) => {
+            try {
+                source.stop();
+            } catch (e) {
+                // already stopped
+            }
+        });
+        this.oneshotVoices.clear();
+        this.transport.stop();
+        this.spatial.clear();
+        this.audioZones.forEach(zone => this.routeZoneEffects(zone));
         this.layerGains.clear();
         // Clear isPlaying flags to prevent stale state
         this.audioLayers.forEach(layer => {
             layer.isPlaying = false;
             layer.source = null;
             layer.gainNode = null;
+            layer.audible = false;
+            layer.entryAt = null;
         });
-        // do not clear audioLayers buffers so we can reuse loaded assets
+        // do not clear audioLayers buffers so we can reuse loaded assets (releaseFarBuffers keeps them within budget)
     }
 }
 
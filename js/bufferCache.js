@@ -0,0 +1,81 @@
+// Bookkeeping for decoded AudioBuffers so a long walk doesn't keep every layer it has ever
+// played in memory (Safari on iOS kills the page when decoded audio grows too large).
+// Decoded size is estimated as length × channels × 4 bytes (32-bit float PCM).
+// The mixer asks for evictions after each update; only layers it marks evictable (silent,
+// far from the walker) are dropped, least recently used first, and ensureLayerLoaded
+// fetches them again when the walker comes back.
+class BufferCache {
+    constructor(options = {}) {
+        this.options = {
+            enabled: true,
+            budgetMB: 192,        // decoded audio kept before evicting
+            keepDistance_m: 250,  // never evict layers of zones whose edge is closer than this
+            ...options
+        };
+        this.entries = new Map(); // layerId -> { bytes, lastUsed }
+    }
+
+    // Apply settings (globalSettings.bufferCache in zones.geojson)
+    configure(options = {}) {
+        this.options = { ...this.options, ...options };
+    }
+
+    get budgetBytes() {
+        return this.options.budgetMB * 1024 * 1024;
+    }
+
+    // Estimated decoded size of a buffer in bytes
+    static estimateBytes(buffer) {
+        if (!buffer) return 0;
+        return buffer.length * buffer.numberOfChannels * 4;
+    }
+
+    // A buffer was decoded for a layer
+    add(layerId, buffer) {
+        this.entries.set(layerId, { bytes: BufferCache.estimateBytes(buffer), lastUsed: Date.now() });
+    }
+
+    // The layer was used (played, audible, preloaded again)
+    touch(layerId) {
+        const entry = this.entries.get(layerId);
+        if (entry) entry.lastUsed = Date.now();
+    }
+
+    // The layer's buffer was released
+    remove(layerId) {
+        this.entries.delete(layerId);
+    }
+
+    // Total estimated bytes of decoded audio
+    getTotalBytes() {
+        let total = 0;
+        this.entries.forEach(entry => { total += entry.bytes; });
+        return total;
+    }
+
+    // Layers to release to get back under budget, least recently used first.
+    // canEvict(layerId, entry) decides which layers may go at all.
+    selectEvictions(canEvict) {
+        if (!this.options.enabled) return [];
+        let total = this.getTotalBytes();
+        if (total <= this.budgetBytes) return [];
+        const candidates = [...this.entries.entries()]
+            .filter(([layerId, entry]) => canEvict(layerId, entry))
+            .sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+        const evict = [];
+        for (const [layerId, entry] of candidates) {
+            if (total <= this.budgetBytes) break;
+            evict.push(layerId);
+            total -= entry.bytes;
+        }
+        return evict;
+    }
+
+    // "84 / 192 MB (12 buffers)" for the debug panel
+    toString() {
+        const mb = (bytes) => (bytes / 1024 / 1024).toFixed(0);
+        return `${mb(this.getTotalBytes())} / ${this.options.budgetMB} MB (${this.entries.size} buffers)`;
+    }
+}
+
+window.BufferCache = BufferCache;
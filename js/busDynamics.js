@@ -0,0 +1,105 @@
+// Dynamics at the end of a bus (globalSettings.dynamics.master | music | oneshot in zones.geojson):
+// an optional compressor followed by an optional limiter, so overlapping parts and oneshots
+// don't clip the phone's output.
+//   compressor - { threshold, knee, ratio, attack, release, makeup_dB } (DynamicsCompressorNode units: dB, s)
+//   limiter    - { ceiling_dB, release }: a hard-kneed, fast compressor that holds peaks near the ceiling.
+//                Not a true brickwall: without lookahead, sharp transients can pass it by a fraction of a dB.
+// `true` for either takes the defaults; false or a missing key leaves the stage out.
+// DynamicsCompressorNode adds its own makeup gain (Web Audio spec); each stage is followed by a
+// trim that takes it back out, so `makeup_dB` is the only makeup and the limiter doesn't lift the bus.
+class BusDynamics {
+    constructor(context, spec = {}) {
+        this.context = context;
+        this.input = context.createGain();
+        this.output = context.createGain();
+        this.compressor = null;
+        this.limiter = null;
+
+        let previous = this.input;
+        if (spec.compressor) {
+            const options = { ...BusDynamics.COMPRESSOR, ...(spec.compressor === true ? {} : spec.compressor) };
+            this.compressor = this.createCompressor(options);
+            previous.connect(this.compressor);
+            // Make-up gain restores the level the compressor took off (the node's automatic makeup removed)
+            const makeup = context.createGain();
+            makeup.gain.value = Math.pow(10, ((options.makeup_dB || 0) - BusDynamics.autoMakeup_dB(options)) / 20);
+            this.compressor.connect(makeup);
+            previous = makeup;
+        }
+        if (spec.limiter) {
+            const options = { ...BusDynamics.LIMITER, ...(spec.limiter === true ? {} : spec.limiter) };
+            const limiterOptions = { threshold: options.ceiling_dB, knee: 0, ratio: 20, attack: 0.001, release: options.release };
+            this.limiter = this.createCompressor(limiterOptions);
+            previous.connect(this.limiter);
+            const trim = context.createGain();
+            trim.gain.value = Math.pow(10, -BusDynamics.autoMakeup_dB(limiterOptions) / 20);
+            this.limiter.connect(trim);
+            previous = trim;
+        }
+        previous.connect(this.output);
+    }
+
+    // DynamicsCompressorNode with the given settings (out-of-range values are clamped by the node)
+    createCompressor({ threshold, knee, ratio, attack, release }) {
+        const node = this.context.createDynamicsCompressor();
+        const t = this.context.currentTime;
+        node.threshold.setValueAtTime(threshold, t);
+        node.knee.setValueAtTime(knee, t);
+        node.ratio.setValueAtTime(ratio, t);
+        node.attack.setValueAtTime(attack, t);
+        node.release.setValueAtTime(release, t);
+        return node;
+    }
+
+    // Makeup gain in dB a DynamicsCompressorNode applies by itself: the spec raises the output by
+    // (1 / full-range gain)^0.6, where the full-range gain is the static curve's output for a 0 dB input
+    static autoMakeup_dB({ threshold, knee, ratio }) {
+        const lin = (dB) => Math.pow(10, dB / 20);
+        const db = (x) => 20 * Math.log10(x);
+        const t = lin(threshold);
+        const kneeEnd = threshold + knee;
+        const kneeCurve = (x, k) => x <= t ? x : t + (1 - Math.exp(-k * (x - t))) / k;
+
+        // Knee sharpness k: the curve's slope (in dB) at the end of the knee matches 1 / ratio
+        let k = 1;
+        if (knee > 0 && ratio > 1) {
+            const slope = (k) => (db(kneeCurve(lin(kneeEnd + 0.01), k)) - db(kneeCurve(lin(kneeEnd - 0.01), k))) / 0.02;
+            let low = 1e-4;
+            let high = 1e5;
+            for (let i = 0; i < 80; i++) {
+                const mid = Math.sqrt(low * high);
+                if (slope(mid) > 1 / ratio) low = mid;
+                else high = mid;
+            }
+            k = Math.sqrt(low * high);
+        }
+
+        const curve = (x) => {
+            if (x <= threshold || ratio <= 1) return x;
+            if (knee > 0 && x < kneeEnd) return db(kneeCurve(lin(x), k));
+            const atKneeEnd = knee > 0 ? db(kneeCurve(lin(kneeEnd), k)) : threshold;
+            return atKneeEnd + (x - kneeEnd) / ratio;
+        };
+        return -0.6 * Math.min(0, curve(0));
+    }
+
+    // Current gain reduction in dB (0 or negative), compressor and limiter together
+    get reduction() {
+        const value = (node) => {
+            if (!node) return 0;
+            return typeof node.reduction === 'number' ? node.reduction : node.reduction?.value || 0;
+        };
+        return value(this.compressor) + value(this.limiter);
+    }
+
+    // "comp+lim −2.1 dB" for the debug panel
+    toString() {
+        const stages = [this.compressor && 'comp', this.limiter && 'lim'].filter(Boolean).join('+') || 'none';
+        return `${stages} ${this.reduction.toFixed(1)} dB`;
+    }
+}
+
+BusDynamics.COMPRESSOR = { threshold: -24, knee: 12, ratio: 3, attack: 0.01, release: 0.25, makeup_dB: 0 };
+BusDynamics.LIMITER = { ceiling_dB: -1, release: 0.1 };
+
+window.BusDynamics = BusDynamics;
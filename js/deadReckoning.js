@@ -0,0 +1,144 @@
+// Dead reckoning for GPS dropouts (between buildings, under trees).
+// Once fixes have been missing for dropoutMs, positions are projected forward from the last
+// real fix along its course, using steps counted from DeviceMotion when the sensor is available
+// and the last known speed otherwise. Estimates are flagged `estimated: true` and stop as soon
+// as a real fix arrives. handleMotion() and estimate() take plain objects so tests can drive them.
+class DeadReckoner {
+    constructor(options = {}) {
+        this.configure(options);
+        this._motionHandler = null;
+        this.reset();
+    }
+
+    // Apply settings (globalSettings.deadReckoning in zones.geojson)
+    configure(options = {}) {
+        this.options = {
+            enabled: true,
+            dropoutMs: 5000,        // start estimating after this long without a fix
+            maxDurationMs: 60000,   // give up estimating after this long (error grows too large)
+            stepLength_m: 0.7,      // average stride
+            stepThreshold: 1.2,     // m/s² above the running mean that counts as a footfall
+            minStepIntervalMs: 280, // faster "steps" are sensor noise
+            sensorTimeoutMs: 3000,  // motion events older than this mean the sensor is unavailable
+            driftPerMeter: 0.3,     // accuracy grows by this many meters per meter travelled
+            ...this.options,
+            ...options
+        };
+    }
+
+    // Forget the anchor and counted steps
+    reset() {
+        this.anchor = null;         // last real position { latitude, longitude, accuracy, receivedAt, course, speed }
+        this.steps = 0;             // steps counted since the anchor
+        this.isEstimating = false;
+        this.magnitudeMean = null;  // running mean of acceleration magnitude
+        this.aboveThreshold = false;
+        this.lastStepAt = 0;
+        this.lastMotionAt = 0;
+    }
+
+    // A real fix arrived: re-anchor and hand control back to GPS
+    noteFix(position, motion = null, now = Date.now()) {
+        if (this.isEstimating) {
+            console.log(`📡 GPS back after dead reckoning (${this.steps} steps estimated)`);
+        }
+        this.anchor = {
+            latitude: position.latitude,
+            longitude: position.longitude,
+            accuracy: position.accuracy || 0,
+            receivedAt: now,
+            course: motion ? motion.course : null,
+            speed: motion && motion.state !== 'stationary' ? motion.speed : 0
+        };
+        this.steps = 0;
+        this.isEstimating = false;
+    }
+
+    // DeviceMotion sample → step detection on acceleration magnitude peaks.
+    // `receivedAt` is on the same clock as estimate()'s `now`; step spacing uses the event's own timeStamp.
+    handleMotion(event, receivedAt = Date.now()) {
+        const acc = event.accelerationIncludingGravity || event.acceleration;
+        if (!acc || typeof acc.x !== 'number') return false;
+        const now = typeof event.timeStamp === 'number' ? event.timeStamp : receivedAt;
+        this.lastMotionAt = receivedAt;
+
+        const magnitude = Math.sqrt(acc.x * acc.x + acc.y * acc.y + (acc.z || 0) * (acc.z || 0));
+        this.magnitudeMean = this.magnitudeMean === null ? magnitude : this.magnitudeMean + 0.05 * (magnitude - this.magnitudeMean);
+
+        // Count a step on each rising crossing of mean + threshold
+        const above = magnitude > this.magnitudeMean + this.options.stepThreshold;
+        let stepped = false;
+        if (above && !this.aboveThreshold && now - this.lastStepAt >= this.options.minStepIntervalMs) {
+            this.steps++;
+            this.lastStepAt = now;
+            stepped = true;
+        }
+        this.aboveThreshold = above;
+        return stepped;
+    }
+
+    // Estimated position at `now`, or null while GPS is fresh / nothing to estimate from.
+    // `dropoutMs` overrides the configured silence for callers that expect longer gaps between fixes.
+    estimate(now = Date.now(), compassHeading = null, dropoutMs = this.options.dropoutMs) {
+        if (!this.options.enabled || !this.anchor) return null;
+        const elapsed = now - this.anchor.receivedAt;
+        if (elapsed < dropoutMs || elapsed > this.options.maxDurationMs) {
+            this.isEstimating = false;
+            return null;
+        }
+
+        const heading = this.anchor.course ?? compassHeading;
+        if (heading === null || heading === undefined) return null;
+
+        // Steps if the motion sensor is live, otherwise keep going at the last walking speed
+        const sensorLive = now - this.lastMotionAt < this.options.sensorTimeoutMs;
+        const distance = sensorLive
+            ? this.steps * this.options.stepLength_m
+            : (this.anchor.speed || 0) * elapsed / 1000;
+
+        if (!this.isEstimating) {
+            console.log(`🧭 GPS dropout - dead reckoning from last fix (${sensorLive ? 'steps' : 'speed'})`);
+        }
+        this.isEstimating = true;
+
+        const [latitude, longitude] = Geo.destination(this.anchor.latitude, this.anchor.longitude, heading, distance);
+        return {
+            latitude,
+            longitude,
+            accuracy: this.anchor.accuracy + distance * this.options.driftPerMeter,
+            timestamp: now,
+            heading,
+            speed: null,
+            estimated: true,
+            estimateSource: sensorLive ? 'steps' : 'speed'
+        };
+    }
+
+    // iOS 13+ needs an explicit permission prompt (call from a user gesture)
+    async requestPermission() {
+        if (typeof DeviceMotionEvent !== 'undefined' && typeof DeviceMotionEvent.requestPermission === 'function') {
+            try {
+                return (await DeviceMotionEvent.requestPermission()) === 'granted';
+            } catch (e) {
+                console.warn('Motion sensor permission failed:', e);
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Listen to the accelerometer
+    startSensors() {
+        if (this._motionHandler || typeof window === 'undefined' || !window.addEventListener) return;
+        this._motionHandler = (event) => this.handleMotion(event);
+        window.addEventListener('devicemotion', this._motionHandler);
+    }
+
+    stopSensors() {
+        if (!this._motionHandler) return;
+        window.removeEventListener('devicemotion', this._motionHandler);
+        this._motionHandler = null;
+    }
+}
+
+window.DeadReckoner = DeadReckoner;
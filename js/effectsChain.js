@@ -0,0 +1,154 @@
+// Effect chains declared in zones.geojson: on a layer (`audioLayers[].effects`), a zone (`effects`,
+// shared by all its music layers) or a bus (`globalSettings.effects.music | oneshot | master`).
+// A chain is a list of stages run in order, e.g.
+//   [{ "type": "lowpass", "frequency": 8000, "distance": { "frequency": { "near": 12000, "far": 600 } } },
+//    { "type": "reverb", "impulse": "audio/ir/church.wav", "wet": 0.35 }]
+// Stage types: lowpass | highpass | bandpass (frequency, Q), reverb (impulse, wet, dry),
+// delay (time, feedback, wet, dry), distortion (amount, wet, dry).
+// `distance` maps a stage's AudioParams to the zone fade: `near` at full volume, `far` at the silent edge.
+// Frequencies move on a log scale; `curve` takes any fadeCurve spec (fadeCurve.js).
+class EffectsChain {
+    // context: AudioContext; specs: stage list; loadImpulse(url) -> Promise<AudioBuffer> for reverbs
+    constructor(context, specs = [], { loadImpulse = null } = {}) {
+        this.context = context;
+        this.input = context.createGain();
+        this.output = context.createGain();
+        this.stages = [];
+
+        let previous = this.input;
+        (Array.isArray(specs) ? specs : [specs]).forEach(spec => {
+            const stage = this.createStage(spec, loadImpulse);
+            if (!stage) return;
+            previous.connect(stage.input);
+            previous = stage.output;
+            this.stages.push(stage);
+        });
+        previous.connect(this.output);
+    }
+
+    // True if any stage follows the zone fade
+    get followsDistance() {
+        return this.stages.some(stage => stage.distance.length > 0);
+    }
+
+    // Build one stage: { type, input, output, params: { name: AudioParam }, distance: [{ param, near, far, curve, log }] }
+    createStage(spec, loadImpulse) {
+        if (!spec || typeof spec !== 'object' || !EffectsChain.TYPES.includes(spec.type)) {
+            console.warn(`Unknown effect ${JSON.stringify(spec && spec.type)}, skipping`);
+            return null;
+        }
+        const ctx = this.context;
+        const input = ctx.createGain();
+        const output = ctx.createGain();
+        const params = {};
+        let node;
+        let wetDefault = 1;
+        let dryDefault = 0;
+
+        switch (spec.type) {
+            case 'lowpass':
+            case 'highpass':
+            case 'bandpass':
+                node = ctx.createBiquadFilter();
+                node.type = spec.type;
+                node.frequency.value = spec.frequency ?? (spec.type === 'highpass' ? 200 : 8000);
+                node.Q.value = spec.Q ?? 0.707;
+                params.frequency = node.frequency;
+                params.Q = node.Q;
+                break;
+            case 'reverb':
+                node = ctx.createConvolver();
+                wetDefault = 0.3;
+                dryDefault = 1;
+                if (spec.impulse && loadImpulse) {
+                    loadImpulse(spec.impulse)
+                        .then(buffer => { node.buffer = buffer; })
+                        .catch(e => console.error(`Failed to load impulse ${spec.impulse}:`, e));
+                }
+                break;
+            case 'delay': {
+                node = ctx.createDelay(5);
+                node.delayTime.value = spec.time ?? 0.25;
+                const feedback = ctx.createGain();
+                feedback.gain.value = Math.min(0.95, spec.feedback ?? 0.3);
+                node.connect(feedback);
+                feedback.connect(node);
+                params.time = node.delayTime;
+                params.feedback = feedback.gain;
+                wetDefault = 0.3;
+                dryDefault = 1;
+                break;
+            }
+            case 'distortion':
+                node = ctx.createWaveShaper();
+                node.curve = this.distortionCurve(spec.amount ?? 20);
+                node.oversample = '4x';
+                break;
+        }
+
+        // Parallel wet/dry so reverb and delay sit on top of the signal; filters are pure inserts
+        const wet = ctx.createGain();
+        const dry = ctx.createGain();
+        wet.gain.value = spec.wet ?? wetDefault;
+        dry.gain.value = spec.dry ?? dryDefault;
+        input.connect(node);
+        node.connect(wet);
+        wet.connect(output);
+        input.connect(dry);
+        dry.connect(output);
+        params.wet = wet.gain;
+        params.dry = dry.gain;
+
+        const distance = [];
+        Object.entries(spec.distance || {}).forEach(([name, mapping]) => {
+            if (!params[name] || typeof mapping !== 'object' || typeof mapping.near !== 'number' || typeof mapping.far !== 'number') {
+                console.warn(`Effect ${spec.type}: can't drive "${name}" by distance, skipping`);
+                return;
+            }
+            distance.push({
+                param: params[name],
+                near: mapping.near,
+                far: mapping.far,
+                curve: new FadeCurve(mapping.curve || 'linear'),
+                log: name === 'frequency' && mapping.near > 0 && mapping.far > 0
+            });
+        });
+
+        return { type: spec.type, input, output, params, distance };
+    }
+
+    // Drive distance-mapped params: x is the zone fade progress (0 = silent edge, 1 = full volume)
+    applyDistance(x, smoothing = 0.1) {
+        const t = this.context.currentTime;
+        this.stages.forEach(stage => {
+            stage.distance.forEach(({ param, near, far, curve, log }) => {
+                const f = curve.valueAt(x);
+                const value = log
+                    ? far * Math.pow(near / far, f)
+                    : far + (near - far) * f;
+                param.setTargetAtTime(value, t, smoothing);
+            });
+        });
+    }
+
+    // Soft-clipping curve; amount 0..100
+    distortionCurve(amount) {
+        const k = Math.max(0, amount);
+        const samples = 1024;
+        const curve = new Float32Array(samples);
+        for (let i = 0; i < samples; i++) {
+            const x = (i * 2) / samples - 1;
+            curve[i] = ((3 + k) * x * 20 * Math.PI / 180) / (Math.PI + k * Math.abs(x));
+        }
+        return curve;
+    }
+
+    // "lowpass → reverb" for logs and the debug panel
+    toString() {
+        return this.stages.map(stage => stage.type).join(' → ') || 'none';
+    }
+}
+
+EffectsChain.TYPES = ['lowpass', 'highpass', 'bandpass', 'reverb', 'delay', 'distortion'];
+
+window.EffectsChain = EffectsChain;
@@ -0,0 +1,79 @@
+// Fade curve shapes for zone volume and gain ramps.
+// A curve maps progress x (0 = silent edge, 1 = full volume) to a gain factor 0..1.
+// Config (zone `fadeCurve` in zones.geojson) is one of:
+//   "linear" | "equalPower" | "exponential" | "logarithmic" | "sCurve"
+//   [0, 0.2, 0.7, 1]                               - custom points, evenly spaced over x
+//   { "type": "custom", "points": [...] }          - same, object form
+//   { "type": "exponential", "range_dB": 48 }      - exponential with a chosen dynamic range
+class FadeCurve {
+    constructor(spec = 'linear') {
+        const options = Array.isArray(spec) ? { type: 'custom', points: spec }
+            : typeof spec === 'object' && spec !== null ? spec
+            : { type: spec };
+        this.type = FadeCurve.SHAPES.includes(options.type) ? options.type : 'linear';
+        if (options.type && options.type !== this.type) {
+            console.warn(`Unknown fadeCurve "${options.type}", using linear`);
+        }
+        this.range_dB = typeof options.range_dB === 'number' ? options.range_dB : 60;
+        this.points = this.type === 'custom' ? this.normalizePoints(options.points) : null;
+        if (this.type === 'custom' && !this.points) this.type = 'linear';
+    }
+
+    // Gain factor for progress x in 0..1
+    valueAt(x) {
+        const t = Math.max(0, Math.min(1, x));
+        switch (this.type) {
+            case 'equalPower':
+                return Math.sin(t * Math.PI / 2);
+            case 'exponential': {
+                // Linear in dB over range_dB, rescaled so 0 is true silence
+                const floor = Math.pow(10, -this.range_dB / 20);
+                return (Math.pow(10, (t - 1) * this.range_dB / 20) - floor) / (1 - floor);
+            }
+            case 'logarithmic':
+                return Math.log10(1 + 9 * t);
+            case 'sCurve':
+                return 0.5 - 0.5 * Math.cos(t * Math.PI);
+            case 'custom': {
+                const last = this.points.length - 1;
+                const i = Math.min(last - 1, Math.floor(t * last));
+                const f = t * last - i;
+                return this.points[i] + (this.points[i + 1] - this.points[i]) * f;
+            }
+            default:
+                return t;
+        }
+    }
+
+    // Gain values for a ramp from `from` to `to` (for setValueCurveAtTime).
+    // Rising ramps follow the curve; falling ramps mirror it so a fade out sounds like the fade in reversed.
+    rampValues(from, to, steps = 32) {
+        const values = new Float32Array(steps);
+        for (let i = 0; i < steps; i++) {
+            const t = i / (steps - 1);
+            const shape = to >= from ? this.valueAt(t) : 1 - this.valueAt(1 - t);
+            values[i] = from + (to - from) * shape;
+        }
+        return values;
+    }
+
+    // Validate custom points: at least two numbers, clamped to 0..1
+    normalizePoints(points) {
+        if (!Array.isArray(points)) return null;
+        const clean = points.filter(p => typeof p === 'number' && isFinite(p)).map(p => Math.max(0, Math.min(1, p)));
+        if (clean.length < 2) {
+            console.warn('fadeCurve custom points need at least two numbers, using linear');
+            return null;
+        }
+        return clean;
+    }
+
+    // Config-friendly description for logs and the debug panel
+    toString() {
+        return this.type === 'exponential' ? `exponential(${this.range_dB}dB)` : this.type;
+    }
+}
+
+FadeCurve.SHAPES = ['linear', 'equalPower', 'exponential', 'logarithmic', 'sCurve', 'custom'];
+
+window.FadeCurve = FadeCurve;
@@ -0,0 +1,57 @@
+// Geodesy shared by the location, zone and audio modules (loaded first; everything is in meters
+// and degrees). Distances and bearings are great-circle; projector() is a flat local projection
+// around a point, accurate to well under a meter at neighborhood scale.
+class Geo {
+    // Calculate distance between two points (in meters)
+    static distance(lat1, lon1, lat2, lon2) {
+        const φ1 = lat1 * Math.PI/180;
+        const φ2 = lat2 * Math.PI/180;
+        const Δφ = (lat2-lat1) * Math.PI/180;
+        const Δλ = (lon2-lon1) * Math.PI/180;
+
+        const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
+                  Math.cos(φ1) * Math.cos(φ2) *
+                  Math.sin(Δλ/2) * Math.sin(Δλ/2);
+        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+
+        return Geo.EARTH_RADIUS * c;
+    }
+
+    // Initial bearing from point 1 to point 2 (degrees from north)
+    static bearing(lat1, lon1, lat2, lon2) {
+        const φ1 = lat1 * Math.PI/180;
+        const φ2 = lat2 * Math.PI/180;
+        const Δλ = (lon2-lon1) * Math.PI/180;
+        const y = Math.sin(Δλ) * Math.cos(φ2);
+        const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+        return (Math.atan2(y, x) * 180/Math.PI + 360) % 360;
+    }
+
+    // Point reached from (lat, lng) after distance meters on a bearing (degrees): [lat, lng]
+    static destination(lat, lng, bearing, distance) {
+        const δ = distance / Geo.EARTH_RADIUS;
+        const θ = bearing * Math.PI/180;
+        const φ1 = lat * Math.PI/180;
+        const λ1 = lng * Math.PI/180;
+        const φ2 = Math.asin(Math.sin(φ1) * Math.cos(δ) + Math.cos(φ1) * Math.sin(δ) * Math.cos(θ));
+        const λ2 = λ1 + Math.atan2(Math.sin(θ) * Math.sin(δ) * Math.cos(φ1), Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2));
+        return [φ2 * 180/Math.PI, λ2 * 180/Math.PI];
+    }
+
+    // Function mapping { lat, lng } to [x, y] meters east/north of (lat0, lng0)
+    static projector(lat0, lng0) {
+        const k = Math.PI / 180;
+        const cos0 = Math.cos(lat0 * k);
+        return (p) => [(p.lng - lng0) * k * Geo.EARTH_RADIUS * cos0, (p.lat - lat0) * k * Geo.EARTH_RADIUS];
+    }
+
+    // Inverse of projector(lat0, lng0): [x, y] meters back to [lat, lng]
+    static unproject(lat0, lng0, x, y) {
+        const k = Math.PI / 180;
+        return [lat0 + y / (k * Geo.EARTH_RADIUS), lng0 + x / (k * Geo.EARTH_RADIUS * Math.cos(lat0 * k))];
+    }
+}
+
+Geo.EARTH_RADIUS = 6371e3; // meters
+
+window.Geo = Geo;
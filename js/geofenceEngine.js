@@ -0,0 +1,200 @@
+// Geofence engine: the one place that measures the walker against the zones.
+// Each position update produces a snapshot (every zone with its distance and membership) and
+// emits events with the zone's metadata:
+//   enter               - crossed enter_m inside the zone edge going in
+//   exit                - crossed exit_m beyond the zone edge going out (with seconds spent inside)
+//   dwell(seconds)      - still inside, every dwellIntervalSeconds
+//   approach(distance)  - outside but within approachDistance_m of the enter edge, and closer
+//                         than at the last approach event by approachStep_m
+// Membership uses enter/exit hysteresis (globalSettings.hysteresisDefaults, zone.hysteresis)
+// measured from the zone edge, so circles, polygons and corridors all behave the same.
+// Time is taken from position timestamps, so replayed tracks dwell at track speed.
+class GeofenceEngine {
+    constructor(options = {}) {
+        this.options = {
+            dwellIntervalSeconds: 10,
+            approachDistance_m: 50,
+            approachStep_m: 5,
+            ...options
+        };
+        this.zones = [];                // zone objects as registered by the mixer ({ id, center, shape, ... })
+        this.hysteresisDefaults = {};   // { enter_m, exit_m }
+        this.listeners = [];            // { type, callback }; type '*' receives every event
+        this.updateCallbacks = [];
+        this.attached = false;
+        this.reset();
+    }
+
+    // Apply settings (globalSettings.geofence in zones.geojson)
+    configure(options = {}) {
+        this.options = { ...this.options, ...options };
+    }
+
+    // Forget membership (new walk); zones stay registered
+    reset() {
+        this.membership = new Map(); // zoneId -> { inside, since, lastDwell, lastApproach }
+        this.snapshot = { position: null, timestamp: null, zones: [] };
+    }
+
+    // Register a zone; any extra properties travel with events as metadata
+    addZone(zone) {
+        this.zones = this.zones.filter(z => z.id !== zone.id);
+        this.zones.push(zone);
+    }
+
+    // Defaults for zone hysteresis (globalSettings.hysteresisDefaults)
+    setHysteresisDefaults(defaults = {}) {
+        this.hysteresisDefaults = { ...defaults };
+    }
+
+    // Zone hysteresis merged over the global defaults
+    getHysteresis(zone) {
+        return { ...this.hysteresisDefaults, ...zone.hysteresis };
+    }
+
+    // Membership edges as signed edge distances: switch on at enterAt (inside), off beyond exitAt
+    getEdges(zone) {
+        const hysteresis = this.getHysteresis(zone);
+        return {
+            enterAt: -(hysteresis.enter_m || 0),
+            exitAt: hysteresis.exit_m || 0
+        };
+    }
+
+    // Signed distance from a position to the zone edge (negative inside)
+    getEdgeDistance(zone, position) {
+        if (zone.shape) return zone.shape.signedDistance(position.latitude, position.longitude);
+        return Geo.distance(position.latitude, position.longitude, zone.center.lat, zone.center.lng) - zone.radius;
+    }
+
+    // Listen for events: on('enter' | 'exit' | 'dwell' | 'approach' | '*', callback(event))
+    on(type, callback) {
+        this.listeners.push({ type, callback });
+    }
+
+    // Add callback for every snapshot: callback(snapshot)
+    onUpdate(callback) {
+        this.updateCallbacks.push(callback);
+    }
+
+    // Feed positions from LocationService (once)
+    attach(locationService) {
+        if (this.attached) return;
+        this.attached = true;
+        locationService.onLocationUpdate((position) => {
+            if (position) this.update(position);
+        });
+    }
+
+    // Measure a position against every zone, update membership and emit events
+    update(position) {
+        const timestamp = position.timestamp ?? Date.now();
+        const events = [];
+        const zones = this.zones.map(zone => {
+            const distance = Geo.distance(position.latitude, position.longitude, zone.center.lat, zone.center.lng);
+            const edgeDistance = this.getEdgeDistance(zone, position);
+            const { enterAt, exitAt } = this.getEdges(zone);
+            let state = this.membership.get(zone.id);
+            if (!state) {
+                state = { inside: false, since: null, lastDwell: null, lastApproach: null };
+                this.membership.set(zone.id, state);
+            }
+
+            if (!state.inside && edgeDistance <= enterAt) {
+                state.inside = true;
+                state.since = timestamp;
+                state.lastDwell = timestamp;
+                state.lastApproach = null;
+                events.push({ type: 'enter', zone, distance: edgeDistance });
+            } else if (state.inside && edgeDistance > exitAt) {
+                const seconds = (timestamp - state.since) / 1000;
+                state.inside = false;
+                state.since = null;
+                events.push({ type: 'exit', zone, distance: edgeDistance, seconds });
+            } else if (state.inside) {
+                if ((timestamp - state.lastDwell) / 1000 >= this.options.dwellIntervalSeconds) {
+                    state.lastDwell = timestamp;
+                    events.push({ type: 'dwell', zone, distance: edgeDistance, seconds: (timestamp - state.since) / 1000 });
+                }
+            }
+
+            if (!state.inside) {
+                const toEdge = edgeDistance - enterAt;
+                if (toEdge <= this.options.approachDistance_m) {
+                    if (state.lastApproach === null || state.lastApproach - toEdge >= this.options.approachStep_m) {
+                        state.lastApproach = toEdge;
+                        events.push({ type: 'approach', zone, distance: toEdge });
+                    }
+                } else {
+                    state.lastApproach = null;
+                }
+            }
+
+            return {
+                id: zone.id,
+                zone,
+                distance,
+                edgeDistance,
+                enterAt,
+                exitAt,
+                inside: state.inside,
+                dwellSeconds: state.inside ? (timestamp - state.since) / 1000 : 0
+            };
+        });
+
+        zones.sort((a, b) => a.edgeDistance - b.edgeDistance);
+        this.snapshot = { position, timestamp, zones };
+
+        events.forEach(event => this.emit({ ...event, zoneId: event.zone.id, timestamp }));
+        this.updateCallbacks.forEach(callback => {
+            try {
+                callback(this.snapshot);
+            } catch (e) {
+                console.error('Geofence update callback error:', e);
+            }
+        });
+        return this.snapshot;
+    }
+
+    // Deliver an event to its listeners
+    emit(event) {
+        if (event.type === 'enter' || event.type === 'exit') {
+            console.log(`🔶 Geofence ${event.type}: ${event.zoneId} (${event.distance.toFixed(1)}m)`);
+        }
+        this.listeners.forEach(({ type, callback }) => {
+            if (type !== '*' && type !== event.type) return;
+            try {
+                callback(event);
+            } catch (e) {
+                console.error('Geofence event callback error:', e);
+            }
+        });
+    }
+
+    // Latest snapshot: { position, timestamp, zones: [{ id, zone, distance, edgeDistance, enterAt, exitAt, inside, dwellSeconds }] }
+    // sorted by edgeDistance; distance is to the zone center, edgeDistance is signed (negative inside)
+    getSnapshot() {
+        return this.snapshot;
+    }
+
+    // Meters from position to the nearest zone edge; skip(zone) excludes zones.
+    // Oneshot zones only have their trigger edge, music zones both hysteresis edges.
+    getNearestBoundaryDistance(position, skip = null) {
+        if (!position) return null;
+        let nearest = null;
+        for (const zone of this.zones) {
+            if (skip && skip(zone)) continue;
+            const edgeDistance = this.getEdgeDistance(zone, position);
+            const { enterAt, exitAt } = this.getEdges(zone);
+            const edges = zone.isOneshot ? [0] : [enterAt, exitAt];
+            for (const edge of edges) {
+                const d = Math.abs(edgeDistance - edge);
+                if (nearest === null || d < nearest) nearest = d;
+            }
+        }
+        return nearest;
+    }
+}
+
+// Create global instance
+window.geofenceEngine = new GeofenceEngine();
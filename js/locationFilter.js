@@ -0,0 +1,104 @@
+// Accuracy-weighted GPS smoothing for LocationService.
+// A scalar Kalman filter over lat/lng (in meters) where each fix is weighted by its
+// reported accuracy, plus outlier rejection for jumps no walker could make.
+// Any object with process(fix) and reset() can be plugged in via locationService.setFilter().
+class LocationFilter {
+    constructor(options = {}) {
+        this.configure(options);
+        this.reset();
+    }
+
+    // Apply settings (globalSettings.locationFilter in zones.geojson)
+    configure(options = {}) {
+        this.options = {
+            processNoise: 1.5,      // expected walker drift in m/s (higher = follows fixes faster)
+            maxSpeed: 4,            // m/s; faster apparent movement is treated as an outlier
+            minAccuracy: 3,         // floor for reported accuracy (phones sometimes report 0)
+            maxAccuracy: 150,       // fixes worse than this are ignored entirely
+            maxRejections: 3,       // consecutive outliers before we trust the new fixes and re-seed
+            ...this.options,
+            ...options
+        };
+    }
+
+    // Forget the current estimate (next fix seeds the filter)
+    reset() {
+        this.latitude = null;
+        this.longitude = null;
+        this.variance = -1; // m², negative means "no estimate yet"
+        this.lastTimestamp = null;
+        this.rejections = 0;
+    }
+
+    // Feed a raw fix { latitude, longitude, accuracy, timestamp }.
+    // Returns { accepted, position, reason } where position is the smoothed estimate.
+    process(fix) {
+        const accuracy = Math.max(this.options.minAccuracy, fix.accuracy || this.options.minAccuracy);
+        if (accuracy > this.options.maxAccuracy) {
+            return { accepted: false, position: null, reason: `accuracy ±${Math.round(accuracy)}m too poor` };
+        }
+
+        if (this.variance < 0) {
+            this.seed(fix, accuracy);
+            return { accepted: true, position: this.getEstimate(), reason: 'seeded' };
+        }
+
+        const dt = Math.max(0, (fix.timestamp - this.lastTimestamp) / 1000);
+
+        // Outlier check: distance beyond what both uncertainties can explain, over elapsed time
+        const distance = this.distanceTo(fix.latitude, fix.longitude);
+        const slack = accuracy + Math.sqrt(this.variance);
+        const impliedSpeed = Math.max(0, distance - slack) / Math.max(dt, 1);
+        if (impliedSpeed > this.options.maxSpeed) {
+            this.rejections++;
+            if (this.rejections < this.options.maxRejections) {
+                return { accepted: false, position: null, reason: `jump of ${distance.toFixed(0)}m (${impliedSpeed.toFixed(1)} m/s)` };
+            }
+            // Several fixes agree we've moved: accept the new location rather than getting stuck
+            this.seed(fix, accuracy);
+            return { accepted: true, position: this.getEstimate(), reason: 're-seeded after outliers' };
+        }
+        this.rejections = 0;
+
+        // Predict: uncertainty grows with time since last fix
+        if (dt > 0) {
+            this.variance += dt * this.options.processNoise * this.options.processNoise;
+            this.lastTimestamp = fix.timestamp;
+        }
+
+        // Update: blend towards the fix, weighted by relative uncertainty
+        const gain = this.variance / (this.variance + accuracy * accuracy);
+        this.latitude += gain * (fix.latitude - this.latitude);
+        this.longitude += gain * (fix.longitude - this.longitude);
+        this.variance = (1 - gain) * this.variance;
+
+        return { accepted: true, position: this.getEstimate(), reason: 'filtered' };
+    }
+
+    // Initialise the estimate from a single fix
+    seed(fix, accuracy) {
+        this.latitude = fix.latitude;
+        this.longitude = fix.longitude;
+        this.variance = accuracy * accuracy;
+        this.lastTimestamp = fix.timestamp;
+        this.rejections = 0;
+    }
+
+    // Current smoothed position
+    getEstimate() {
+        if (this.variance < 0) return null;
+        return {
+            latitude: this.latitude,
+            longitude: this.longitude,
+            accuracy: Math.sqrt(this.variance),
+            timestamp: this.lastTimestamp
+        };
+    }
+
+    // Distance from the estimate in meters
+    distanceTo(lat, lng) {
+        return Geo.distance(this.latitude, this.longitude, lat, lng);
+    }
+}
+
+window.LocationFilter = LocationFilter;
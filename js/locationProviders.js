@@ -0,0 +1,459 @@
+// Interchangeable position sources for LocationService.
+//
+// A provider implements:
+//   start(sink)              - begin emitting; sink is { onPosition(fix), onError(error) }
+//   stop()                   - stop emitting and release timers/watches
+//   restart()                - optional; re-arm after a stall (watchdog, resume from background)
+//   requestPermission(sink)  - optional; one-shot permission prompt, resolves true/false
+//   setSampling(profile)     - optional; adopt a SamplingPolicy profile { pollMs, enableHighAccuracy }
+//
+// A fix is { latitude, longitude, accuracy, timestamp, heading?, speed?, discontinuity? };
+// discontinuity marks a deliberate jump (simulator teleport, replay seek) that must not be smoothed.
+// Errors mimic GeolocationPositionError ({ code, message, PERMISSION_DENIED, ... }).
+// Providers never touch the DOM or the mixer, so they can be driven directly from tests.
+
+// Real device GPS via navigator.geolocation (watchPosition plus a polling fallback)
+class GeolocationProvider {
+    constructor(options = {}) {
+        this.options = {
+            enableHighAccuracy: true,
+            timeout: 60000, // allow up to 60s before timeout
+            maximumAge: 5000,
+            ...options
+        };
+        this.pollIntervalMs = 2000;
+        this.sink = null;
+        this.watchId = null;
+        this._pollTimer = null;
+        this.kind = 'geolocation';
+    }
+
+    // Begin watching the device position
+    start(sink) {
+        if (!navigator.geolocation) {
+            throw new Error('Geolocation is not supported by this browser');
+        }
+        this.sink = sink;
+        this.restart();
+        this.startPolling();
+    }
+
+    // Request permission with a single, short geolocation call (no persistent watch)
+    requestPermission(sink) {
+        if (!navigator.geolocation) {
+            return Promise.reject(new Error('Geolocation is not supported by this browser'));
+        }
+        return new Promise((resolve) => {
+            navigator.geolocation.getCurrentPosition(
+                (position) => {
+                    // Warm the cache and notify listeners once
+                    sink.onPosition(this.toFix(position));
+                    resolve(true);
+                },
+                (error) => {
+                    // Notify error but still resolve to allow flow to continue
+                    sink.onError(error);
+                    resolve(false);
+                },
+                { enableHighAccuracy: true, timeout: 10000, maximumAge: 0 }
+            );
+        });
+    }
+
+    // (re)start watchPosition with current options
+    restart() {
+        if (!this.sink) return;
+
+        // Clear any existing watch first
+        if (this.watchId !== null) {
+            navigator.geolocation.clearWatch(this.watchId);
+            this.watchId = null;
+        }
+
+        // Get an initial fix quickly (shorter timeout) then start a longer watch
+        navigator.geolocation.getCurrentPosition(
+            (position) => this.sink && this.sink.onPosition(this.toFix(position)),
+            (error) => this.sink && this.sink.onError(error),
+            { ...this.options, timeout: 15000 }
+        );
+
+        this.watchId = navigator.geolocation.watchPosition(
+            (position) => this.sink && this.sink.onPosition(this.toFix(position)),
+            (error) => this.sink && this.sink.onError(error),
+            this.options
+        );
+    }
+
+    // Adopt a sampling profile: poll interval (0 = watch only), GPS accuracy mode and watch maximumAge
+    setSampling(profile) {
+        const maximumAge = typeof profile.maximumAge === 'number' ? profile.maximumAge : this.options.maximumAge;
+        const watchChanged = profile.enableHighAccuracy !== this.options.enableHighAccuracy || maximumAge !== this.options.maximumAge;
+        const pollChanged = profile.pollMs !== this.pollIntervalMs;
+        this.options.enableHighAccuracy = profile.enableHighAccuracy;
+        this.options.maximumAge = maximumAge;
+        this.pollIntervalMs = profile.pollMs;
+        if (!this.sink) return;
+        // watchPosition options are fixed per watch, so a new accuracy mode or maximumAge needs a new watch
+        if (watchChanged) this.restart();
+        if (pollChanged) this.startPolling();
+    }
+
+    // Fallback polling alongside watchPosition (helps on iOS when watch stalls)
+    startPolling() {
+        if (this._pollTimer) {
+            clearInterval(this._pollTimer);
+            this._pollTimer = null;
+        }
+        if (!this.pollIntervalMs) return;
+        this._pollTimer = setInterval(() => {
+            if (!this.sink) return;
+            console.log('[GeolocationProvider] polling for position...');
+            navigator.geolocation.getCurrentPosition(
+                (position) => {
+                    console.log('[GeolocationProvider] poll success');
+                    if (this.sink) this.sink.onPosition(this.toFix(position));
+                },
+                (error) => {
+                    console.warn('[GeolocationProvider] poll error', error.message || error);
+                    if (this.sink) this.sink.onError(error);
+                },
+                { enableHighAccuracy: this.options.enableHighAccuracy, timeout: 8000, maximumAge: 0 }
+            );
+        }, this.pollIntervalMs);
+    }
+
+    // Stop watching and polling
+    stop() {
+        if (this.watchId !== null) {
+            navigator.geolocation.clearWatch(this.watchId);
+            this.watchId = null;
+        }
+        if (this._pollTimer) {
+            clearInterval(this._pollTimer);
+            this._pollTimer = null;
+        }
+        this.sink = null;
+    }
+
+    // Normalize a browser Position into a fix. The timestamp is when the position was measured:
+    // with a maximumAge the browser may hand back a cached position, and its age must show
+    // (never later than now, in case the device clock and the GPS disagree)
+    toFix(position) {
+        return {
+            latitude: position.coords.latitude,
+            longitude: position.coords.longitude,
+            accuracy: position.coords.accuracy,
+            heading: position.coords.heading ?? null,
+            speed: position.coords.speed ?? null,
+            timestamp: typeof position.timestamp === 'number' && isFinite(position.timestamp)
+                ? Math.min(position.timestamp, Date.now())
+                : Date.now()
+        };
+    }
+}
+
+// Hand-placed position (the debug panel's GPS simulator buttons).
+// Re-emits the current position periodically like a stationary phone would.
+class ManualLocationProvider {
+    constructor({ accuracy = 5, repeatMs = 1000 } = {}) {
+        this.accuracy = accuracy;
+        this.repeatMs = repeatMs;
+        this.position = null;
+        this.sink = null;
+        this._timer = null;
+        this.kind = 'manual';
+    }
+
+    start(sink) {
+        this.sink = sink;
+        this.emit(true);
+        this.restart();
+    }
+
+    restart() {
+        if (this._timer) clearInterval(this._timer);
+        if (!this.sink || !this.repeatMs) return;
+        this._timer = setInterval(() => this.emit(), this.repeatMs);
+    }
+
+    stop() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+        this.sink = null;
+    }
+
+    // Move the simulated walker; emits immediately if running
+    setPosition(latitude, longitude, accuracy = this.accuracy) {
+        this.position = { latitude, longitude, accuracy };
+        this.emit(true);
+    }
+
+    emit(discontinuity = false) {
+        if (!this.sink || !this.position) return;
+        this.sink.onPosition({ ...this.position, heading: null, speed: null, timestamp: Date.now(), discontinuity });
+    }
+}
+
+// Walks a list of waypoints at constant speed ({ lat, lng } or [lng, lat] pairs).
+// tick(elapsedMs) can be called directly to drive the path deterministically.
+class ScriptedPathProvider {
+    constructor(waypoints, { speed = 1.4, accuracy = 5, intervalMs = 1000, loop = false } = {}) {
+        this.waypoints = (waypoints || []).map(p => Array.isArray(p)
+            ? { lat: p[1], lng: p[0] }
+            : { lat: p.lat ?? p.latitude, lng: p.lng ?? p.longitude });
+        this.speed = speed;         // m/s
+        this.accuracy = accuracy;
+        this.intervalMs = intervalMs;
+        this.loop = loop;
+        this.sink = null;
+        this._timer = null;
+        this._startedAt = null;
+        this.kind = 'scripted';
+
+        // Cumulative distance at each waypoint
+        this.cumulative = [0];
+        for (let i = 1; i < this.waypoints.length; i++) {
+            const a = this.waypoints[i - 1];
+            const b = this.waypoints[i];
+            this.cumulative.push(this.cumulative[i - 1] + Geo.distance(a.lat, a.lng, b.lat, b.lng));
+        }
+        this.totalDistance = this.cumulative[this.cumulative.length - 1] || 0;
+    }
+
+    start(sink) {
+        this.sink = sink;
+        this._startedAt = Date.now();
+        this.tick(0);
+        this.restart();
+    }
+
+    restart() {
+        if (this._timer) clearInterval(this._timer);
+        if (!this.sink) return;
+        this._timer = setInterval(() => this.tick(Date.now() - this._startedAt), this.intervalMs);
+    }
+
+    stop() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+        this.sink = null;
+    }
+
+    // Emit the position reached after elapsedMs of walking
+    tick(elapsedMs) {
+        const fix = this.positionAt(elapsedMs);
+        if (fix && this.sink) this.sink.onPosition(fix);
+        return fix;
+    }
+
+    // Interpolated fix along the path after elapsedMs
+    positionAt(elapsedMs) {
+        if (this.waypoints.length === 0) return null;
+        let travelled = this.speed * elapsedMs / 1000;
+        if (this.loop && this.totalDistance > 0) travelled %= this.totalDistance;
+        travelled = Math.min(travelled, this.totalDistance);
+
+        let i = 1;
+        while (i < this.cumulative.length - 1 && this.cumulative[i] < travelled) i++;
+        const a = this.waypoints[Math.max(0, i - 1)];
+        const b = this.waypoints[Math.min(i, this.waypoints.length - 1)];
+        const segment = (this.cumulative[i] || 0) - (this.cumulative[i - 1] || 0);
+        const t = segment > 0 ? (travelled - this.cumulative[i - 1]) / segment : 0;
+
+        return {
+            latitude: a.lat + (b.lat - a.lat) * t,
+            longitude: a.lng + (b.lng - a.lng) * t,
+            accuracy: this.accuracy,
+            heading: null,
+            speed: travelled < this.totalDistance ? this.speed : 0,
+            timestamp: (this._startedAt || 0) + elapsedMs
+        };
+    }
+}
+
+// Plays back recorded fixes ({ latitude, longitude, accuracy, timestamp }) with their original spacing,
+// at a chosen speed, with pause and seek. Fix timestamps are passed through unchanged so the filter
+// and trigger rules see the original timing and make the same decisions the original walk made.
+class TrackReplayProvider {
+    constructor(fixes, { speed = 1, name = 'track' } = {}) {
+        this.fixes = (fixes || []).slice().sort((a, b) => a.timestamp - b.timestamp);
+        this.speed = speed;
+        this.name = name;
+        this.index = 0;        // next fix to emit
+        this.paused = false;
+        this.sink = null;
+        this._timer = null;
+        this.onProgress = null; // (provider) => void, after every emitted fix
+        this.onEnd = null;      // (provider) => void, after the last fix
+        this.kind = 'replay';
+    }
+
+    start(sink) {
+        this.sink = sink;
+        if (this.index >= this.fixes.length) this.index = 0;
+        // Emit where we are right away so listeners have a position, then keep the original pacing
+        if (!this.paused) this.step(true);
+    }
+
+    // Re-arm the timer (watchdog / resume); never skips ahead or un-pauses
+    restart() {
+        this.schedule();
+    }
+
+    stop() {
+        this.clearTimer();
+        this.sink = null;
+    }
+
+    pause() {
+        this.paused = true;
+        this.clearTimer();
+    }
+
+    play() {
+        this.paused = false;
+        if (!this.sink) return;
+        if (this.index >= this.fixes.length) this.index = 0; // finished: play again from the top
+        if (this.index === 0) {
+            this.step(true);
+        } else {
+            this.schedule();
+        }
+    }
+
+    // Playback rate (1 = real time)
+    setSpeed(speed) {
+        this.speed = Math.max(0.1, speed);
+        this.schedule();
+    }
+
+    // Jump to a point in the track (ms from the first fix) and emit the fix found there
+    seek(offsetMs) {
+        if (this.fixes.length === 0) return;
+        const target = this.fixes[0].timestamp + Math.max(0, offsetMs);
+        let i = this.fixes.findIndex(f => f.timestamp >= target);
+        if (i < 0) i = this.fixes.length - 1;
+        this.index = i;
+        this.clearTimer();
+        if (this.sink) this.step(true);
+    }
+
+    // Track length in ms
+    getDuration() {
+        if (this.fixes.length < 2) return 0;
+        return this.fixes[this.fixes.length - 1].timestamp - this.fixes[0].timestamp;
+    }
+
+    // Track time of the last emitted fix, in ms from the first fix
+    getElapsed() {
+        if (this.index === 0 || this.fixes.length === 0) return 0;
+        return this.fixes[Math.min(this.index, this.fixes.length) - 1].timestamp - this.fixes[0].timestamp;
+    }
+
+    // Emit the next fix and schedule the one after it
+    step(discontinuity = false) {
+        if (!this.sink || this.index >= this.fixes.length) return false;
+        const fix = this.fixes[this.index++];
+        this.sink.onPosition({ heading: null, speed: null, ...fix, discontinuity });
+        if (this.onProgress) this.onProgress(this);
+
+        if (this.index >= this.fixes.length) {
+            if (this.onEnd) this.onEnd(this);
+        } else {
+            this.schedule();
+        }
+        return true;
+    }
+
+    // Wait the (scaled) gap between the last emitted fix and the next one
+    schedule() {
+        this.clearTimer();
+        if (!this.sink || this.paused || this.index === 0 || this.index >= this.fixes.length) return;
+        const gap = this.fixes[this.index].timestamp - this.fixes[this.index - 1].timestamp;
+        this._timer = setTimeout(() => this.step(), Math.max(0, gap / this.speed));
+    }
+
+    clearTimer() {
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+    }
+
+    // Parse a GPX document or GeoJSON text (as exported by WalkRecorder, or from other tools) into fixes
+    static parseTrack(text) {
+        const trimmed = text.trim();
+        if (trimmed.startsWith('<')) return TrackReplayProvider.parseGPX(trimmed);
+        return TrackReplayProvider.parseGeoJSON(JSON.parse(trimmed));
+    }
+
+    // GPX: trkpt (or rtept) with <time>; accuracy from our tw:accuracy extension, else hdop, else a default
+    static parseGPX(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Invalid GPX file');
+        }
+        let points = Array.from(doc.getElementsByTagNameNS('*', 'trkpt'));
+        if (points.length === 0) points = Array.from(doc.getElementsByTagNameNS('*', 'rtept'));
+
+        const childText = (el, name) => {
+            const child = el.getElementsByTagNameNS('*', name)[0];
+            return child ? child.textContent.trim() : null;
+        };
+
+        const fixes = points.map(pt => {
+            const time = childText(pt, 'time');
+            const accuracy = parseFloat(childText(pt, 'accuracy'));
+            const hdop = parseFloat(childText(pt, 'hdop'));
+            return {
+                latitude: parseFloat(pt.getAttribute('lat')),
+                longitude: parseFloat(pt.getAttribute('lon')),
+                accuracy: isFinite(accuracy) ? accuracy : (isFinite(hdop) ? hdop * 5 : 10),
+                timestamp: time ? Date.parse(time) : NaN
+            };
+        });
+        return TrackReplayProvider.fillTimestamps(fixes);
+    }
+
+    // GeoJSON: first LineString/MultiLineString; times from properties.coordTimes (or times)
+    static parseGeoJSON(data) {
+        const features = data.type === 'FeatureCollection' ? data.features
+            : data.type === 'Feature' ? [data]
+            : [{ type: 'Feature', properties: {}, geometry: data }];
+        const line = (features || []).find(f => f && f.geometry &&
+            (f.geometry.type === 'LineString' || f.geometry.type === 'MultiLineString'));
+        if (!line) throw new Error('No LineString found in GeoJSON');
+
+        const coords = line.geometry.type === 'LineString' ? line.geometry.coordinates : line.geometry.coordinates.flat();
+        const props = line.properties || {};
+        const times = (props.coordTimes || props.times || []).flat();
+        const accuracies = props.accuracies || [];
+
+        const fixes = coords.map((c, i) => ({
+            latitude: c[1],
+            longitude: c[0],
+            accuracy: typeof accuracies[i] === 'number' ? accuracies[i] : 10,
+            timestamp: times[i] ? (typeof times[i] === 'number' ? times[i] : Date.parse(times[i])) : NaN
+        }));
+        return TrackReplayProvider.fillTimestamps(fixes);
+    }
+
+    // Tracks without usable times are replayed at one fix per second
+    static fillTimestamps(fixes) {
+        const valid = fixes.filter(f => isFinite(f.latitude) && isFinite(f.longitude));
+        if (valid.some(f => !isFinite(f.timestamp))) {
+            const base = Date.now();
+            valid.forEach((f, i) => { f.timestamp = base + i * 1000; });
+        }
+        return valid;
+    }
+}
+
+window.GeolocationProvider = GeolocationProvider;
+window.ManualLocationProvider = ManualLocationProvider;
+window.ScriptedPathProvider = ScriptedPathProvider;
+window.TrackReplayProvider = TrackReplayProvider;
@@ -1,17 +1,115 @@
 class LocationService {
     constructor() {
-        this.watchId = null;
         this.currentPosition = null;
         this.isTracking = false;
         this.callbacks = [];
-        this.options = {
-            enableHighAccuracy: true,
-            timeout: 60000, // allow up to 60s before timeout
-            maximumAge: 5000
-        };
         this._restartTimer = null;
-        this._pollTimer = null;
         this.lastError = null;
+        this.lastRawPosition = null;
+        // Smoothing stage between raw fixes and callbacks (null = pass raw fixes through)
+        this.filter = new LocationFilter();
+        // Speed / course / walking state derived from the smoothed positions
+        this.motion = new MotionModel();
+        // Estimates positions while fixes are missing
+        this.deadReckoner = new DeadReckoner();
+        this._deadReckoningTimer = null;
+        this.lastFixReceivedAt = null;
+        // How hard to drive the GPS (distance to the nearest boundary, speed, battery)
+        this.sampling = new SamplingPolicy();
+        this.sampling.onChange((profile) => this.applySampling(profile));
+        // Where fixes come from (see locationProviders.js); real GPS by default
+        this.provider = new GeolocationProvider();
+        this.sink = {
+            onPosition: (fix) => this.handleLocationUpdate(fix),
+            onError: (error) => this.handleLocationError(error)
+        };
+    }
+
+    // Swap the position source (real GPS, simulator, scripted path, replay).
+    // If tracking, the old provider is stopped and the new one started in its place.
+    setProvider(provider) {
+        if (!provider || provider === this.provider) return;
+        const wasTracking = this.isTracking;
+        if (wasTracking) this.stopTracking();
+        this.provider = provider;
+        console.log(`[LocationService] provider: ${provider.kind || provider.constructor.name}`);
+        this.applySampling(this.sampling.profile);
+        if (wasTracking) this.startTracking();
+    }
+
+    // Current position source
+    getProvider() {
+        return this.provider;
+    }
+
+    // Swap the smoothing stage; any object with process(fix) and reset() works
+    setFilter(filter) {
+        this.filter = filter || null;
+        if (this.filter && typeof this.filter.reset === 'function') this.filter.reset();
+    }
+
+    // Configure the built-in filter from globalSettings.locationFilter
+    configureFilter(settings = {}) {
+        if (settings.enabled === false) {
+            this.setFilter(null);
+            return;
+        }
+        if (this.filter instanceof LocationFilter) {
+            this.filter.configure(settings);
+        } else {
+            this.setFilter(new LocationFilter(settings));
+        }
+        console.log('[LocationService] filter configured', this.filter.options);
+    }
+
+    // Configure dead reckoning from globalSettings.deadReckoning
+    configureDeadReckoning(settings = {}) {
+        this.deadReckoner.configure(settings);
+        console.log('[LocationService] dead reckoning configured', this.deadReckoner.options);
+    }
+
+    // Configure adaptive sampling from globalSettings.sampling
+    configureSampling(settings = {}) {
+        this.sampling.configure(settings);
+        console.log('[LocationService] sampling configured', this.sampling.options);
+    }
+
+    // Pass a sampling profile to providers that support it
+    applySampling(profile) {
+        if (profile && typeof this.provider.setSampling === 'function') {
+            this.provider.setSampling(profile);
+        }
+    }
+
+    // While tracking, check once a second whether fixes have dropped out and estimate if so
+    startDeadReckoning() {
+        if (this._deadReckoningTimer) clearInterval(this._deadReckoningTimer);
+        this._deadReckoningTimer = setInterval(() => this.checkDropout(), 1000);
+    }
+
+    // Emit an estimated position if GPS has gone quiet.
+    // Only the live GPS drops out: replays, the simulator and manual positions go quiet on purpose
+    // (paused, gaps in a recorded track) and must not produce estimated movement.
+    checkDropout(now = Date.now()) {
+        if (!this.isTracking || !(this.provider instanceof GeolocationProvider)) return null;
+        const estimate = this.deadReckoner.estimate(now, this.motion.compassHeading, this.getDropoutMs());
+        if (!estimate) return null;
+
+        this.currentPosition = { ...estimate, receivedAt: now, motion: this.motion.getSnapshot() };
+        // Lost the GPS: sample at the full rate until it comes back
+        this.sampling.update(this.currentPosition);
+        this.notifyCallbacks(this.currentPosition);
+        return this.currentPosition;
+    }
+
+    // Silence that counts as a dropout under the current sampling profile. The relaxed mid and far
+    // tiers go quiet on purpose (slow polls, cached fixes up to maximumAge old), so their gaps
+    // are added on top; otherwise every quiet spell would dead-reckon and push sampling back to near.
+    getDropoutMs() {
+        const profile = this.sampling.profile;
+        const dropoutMs = this.deadReckoner.options.dropoutMs;
+        if (!profile || profile.tier === 'near') return dropoutMs;
+        return dropoutMs + Math.max(profile.pollMs || 0, profile.maximumAge || 0);
     }
 
     // Wait for the first GPS fix or timeout
@@ -40,9 +138,10 @@ class LocationService {
     }
 
     // Milliseconds since last location update (Infinity if none)
+    // Estimated (dead-reckoned) positions don't count: this is the age of the last real fix
     getLastUpdateAge() {
-        if (!this.currentPosition || !this.currentPosition.timestamp) return Infinity;
-        return Date.now() - this.currentPosition.timestamp;
+        if (!this.lastFixReceivedAt) return Infinity;
+        return Date.now() - this.lastFixReceivedAt;
     }
 
     // Add callback for location updates
@@ -52,116 +151,110 @@ class LocationService {
 
     // Start tracking location
     startTracking() {
-        if (!navigator.geolocation) {
-            throw new Error('Geolocation is not supported by this browser');
-        }
-
         if (this.isTracking) {
             return;
         }
 
         this.isTracking = true;
-        this.startWatch();
-        this.startPolling();
+        this.lastRawPosition = null;
+        // Walker may have moved while stopped; don't blend new fixes with a stale estimate
+        if (this.filter) this.filter.reset();
+        this.motion.reset();
+        this.deadReckoner.reset();
+        this.sampling.reset();
+        this.applySampling(this.sampling.profile);
+        try {
+            this.provider.start(this.sink);
+        } catch (e) {
+            this.isTracking = false;
+            throw e;
+        }
+        this.startDeadReckoning();
     }
 
-    // Request permission with a single, short geolocation call (no persistent watch)
+    // Ask the provider for permission (providers without a prompt are always allowed)
     requestPermission() {
-        if (!navigator.geolocation) {
-            return Promise.reject(new Error('Geolocation is not supported by this browser'));
+        if (typeof this.provider.requestPermission !== 'function') {
+            return Promise.resolve(true);
         }
-        return new Promise((resolve) => {
-            navigator.geolocation.getCurrentPosition(
-                (position) => {
-                    // Warm the cache and notify listeners once
-                    this.handleLocationUpdate(position);
-                    resolve(true);
-                },
-                (error) => {
-                    // Notify error but still resolve to allow flow to continue
-                    this.handleLocationError(error);
-                    resolve(false);
-                },
-                { enableHighAccuracy: true, timeout: 10000, maximumAge: 0 }
-            );
-        });
+        return this.provider.requestPermission(this.sink);
     }
 
-    // Internal: (re)start watchPosition with current options
+    // Re-arm the provider after a stall (watchdog, resume from background)
     startWatch() {
-        // Clear any existing watch first
-        if (this.watchId !== null) {
-            navigator.geolocation.clearWatch(this.watchId);
-            this.watchId = null;
+        if (!this.isTracking) return;
+        if (typeof this.provider.restart === 'function') {
+            this.provider.restart();
         }
-
-        // Get an initial fix quickly (shorter timeout) then start a longer watch
-        navigator.geolocation.getCurrentPosition(
-            (position) => this.handleLocationUpdate(position),
-            (error) => this.handleLocationError(error),
-            { ...this.options, timeout: 15000 }
-        );
-
-        this.watchId = navigator.geolocation.watchPosition(
-            (position) => this.handleLocationUpdate(position),
-            (error) => this.handleLocationError(error),
-            this.options
-        );
-    }
-
-    // Fallback polling alongside watchPosition (helps on iOS when watch stalls)
-    startPolling() {
-        if (this._pollTimer) {
-            clearInterval(this._pollTimer);
-        }
-        this._pollTimer = setInterval(() => {
-            if (!this.isTracking) return;
-            console.log('[LocationService] polling for position...');
-            navigator.geolocation.getCurrentPosition(
-                (position) => { 
-                    console.log('[LocationService] poll success'); 
-                    this.handleLocationUpdate(position); 
-                },
-                (error) => { 
-                    console.warn('[LocationService] poll error', error.message || error); 
-                    this.handleLocationError(error); 
-                },
-                { enableHighAccuracy: true, timeout: 8000, maximumAge: 0 }
-            );
-        }, 2000);
     }
 
     // Stop tracking location
     stopTracking() {
-        if (this.watchId !== null) {
-            navigator.geolocation.clearWatch(this.watchId);
-            this.watchId = null;
-        }
+        this.provider.stop();
         this.isTracking = false;
+        if (this._deadReckoningTimer) {
+            clearInterval(this._deadReckoningTimer);
+            this._deadReckoningTimer = null;
+        }
         if (this._restartTimer) {
             clearTimeout(this._restartTimer);
             this._restartTimer = null;
         }
-        if (this._pollTimer) {
-            clearInterval(this._pollTimer);
-            this._pollTimer = null;
-        }
     }
 
-    // Handle location updates
-    handleLocationUpdate(position) {
-        console.log('[LocationService] update', position && position.coords);
+    // Handle a fix from the provider
+    handleLocationUpdate(fix) {
+        console.log('[LocationService] update', fix);
+        const raw = {
+            latitude: fix.latitude,
+            longitude: fix.longitude,
+            accuracy: fix.accuracy,
+            timestamp: fix.timestamp ?? Date.now()
+        };
+        // A cached fix older than one already handled (watch and poll disagreeing) adds nothing
+        if (!fix.discontinuity && this.lastRawPosition && raw.timestamp < this.lastRawPosition.timestamp) {
+            console.log('[LocationService] stale fix ignored');
+            return;
+        }
+        this.lastRawPosition = raw;
+        if (fix.discontinuity) this.motion.reset();
+        this.lastFixReceivedAt = Date.now();
+
+        let smoothed = raw;
+        if (this.filter) {
+            // Teleports (simulator jumps, replay scrubbing) must not be smoothed or rejected
+            if (fix.discontinuity) this.filter.reset();
+            const result = this.filter.process(raw);
+            if (!result.accepted) {
+                console.log(`[LocationService] fix rejected: ${result.reason}`);
+                return;
+            }
+            smoothed = result.position;
+        }
+
         this.currentPosition = {
-            latitude: position.coords.latitude,
-            longitude: position.coords.longitude,
-            accuracy: position.coords.accuracy,
-            timestamp: Date.now() // Use current time, not position.timestamp
+            latitude: smoothed.latitude,
+            longitude: smoothed.longitude,
+            accuracy: smoothed.accuracy,
+            timestamp: raw.timestamp,
+            receivedAt: Date.now(),
+            heading: fix.heading ?? null, // device-reported course (degrees), often null
+            speed: fix.speed ?? null,     // device-reported speed (m/s), often null
+            raw
         };
+        this.currentPosition.motion = this.motion.update(this.currentPosition);
+        // Dead reckoning runs from when the fix was measured, so a cached fix doesn't look fresh
+        this.deadReckoner.noteFix(this.currentPosition, this.currentPosition.motion, Math.min(Date.now(), raw.timestamp));
+        this.sampling.update(this.currentPosition, this.currentPosition.motion);
 
-        // Notify all callbacks
+        this.notifyCallbacks(this.currentPosition);
+    }
+
+    // Notify all callbacks of a position (real or estimated)
+    notifyCallbacks(position) {
         this.callbacks.forEach(callback => {
             try {
-                callback(this.currentPosition);
+                callback(position);
             } catch (e) {
                 console.error('Location callback error:', e);
             }
@@ -191,7 +284,11 @@ class LocationService {
         
         // Notify callbacks of error
         this.callbacks.forEach(callback => {
-            callback(null, message);
+            try {
+                callback(null, message);
+            } catch (e) {
+                console.error('Location callback error:', e);
+            }
         });
 
         // Auto-recover: if still tracking, debounce a watch restart
@@ -203,20 +300,9 @@ class LocationService {
         }
     }
 
-    // Calculate distance between two points (in meters)
+    // Calculate distance between two points (in meters; see geo.js)
     calculateDistance(lat1, lon1, lat2, lon2) {
-        const R = 6371e3; // Earth's radius in meters
-        const φ1 = lat1 * Math.PI/180;
-        const φ2 = lat2 * Math.PI/180;
-        const Δφ = (lat2-lat1) * Math.PI/180;
-        const Δλ = (lon2-lon1) * Math.PI/180;
-
-        const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-                  Math.cos(φ1) * Math.cos(φ2) *
-                  Math.sin(Δλ/2) * Math.sin(Δλ/2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-
-        return R * c;
+        return Geo.distance(lat1, lon1, lat2, lon2);
     }
 
     // Get current position
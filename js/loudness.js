@@ -0,0 +1,65 @@
+// Loudness normalization for layers (globalSettings.loudness in zones.geojson), so stems mixed
+// from different sources sit at consistent levels without riding the master volume.
+// A layer's loudness comes from its `loudness` value in zones.geojson (dB, e.g. integrated LUFS
+// from `ffmpeg -af ebur128`) or, for decoded layers, is measured once when the buffer is decoded.
+// The measurement is a gated mean square (the gating of ITU-R BS.1770 without its K-weighting
+// filter), close enough to LUFS to level stems against each other. Streaming layers are only
+// normalized when their loudness is given.
+class Loudness {
+    constructor(options = {}) {
+        this.options = {
+            enabled: false,
+            target: -20,       // dB every layer is brought to
+            maxBoost_dB: 12,   // never raise a quiet layer by more than this
+            maxCut_dB: 24,     // never lower a loud layer by more than this
+            measure: true,     // measure decoded layers that don't give a loudness
+            ...options
+        };
+    }
+
+    // Apply settings (globalSettings.loudness)
+    configure(options = {}) {
+        this.options = { ...this.options, ...options };
+    }
+
+    // Linear gain that brings a layer of this loudness (dB) to the target; 1 when off or unknown
+    gainFor(loudness) {
+        if (!this.options.enabled || typeof loudness !== 'number' || !isFinite(loudness)) return 1;
+        const dB = Math.max(-this.options.maxCut_dB, Math.min(this.options.maxBoost_dB, this.options.target - loudness));
+        return Math.pow(10, dB / 20);
+    }
+
+    // Gated loudness of an AudioBuffer in dB (-Infinity for silence).
+    // 400 ms blocks with 75% overlap; blocks under -70 dB, then those 10 dB under the mean, are ignored.
+    static measure(buffer, stride = 4) {
+        const block = Math.round(buffer.sampleRate * 0.4);
+        const hop = Math.round(block / 4);
+        const channels = [];
+        for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c));
+
+        // Mean square of each hop, summed over channels (every `stride`-th sample is enough for levels)
+        const hops = [];
+        for (let start = 0; start + hop <= buffer.length; start += hop) {
+            let sum = 0;
+            let count = 0;
+            for (let i = start; i < start + hop; i += stride) {
+                for (const data of channels) sum += data[i] * data[i];
+                count++;
+            }
+            hops.push(sum / count);
+        }
+        const blocks = [];
+        for (let i = 0; i + 4 <= hops.length; i++) blocks.push((hops[i] + hops[i + 1] + hops[i + 2] + hops[i + 3]) / 4);
+        if (blocks.length === 0 && hops.length) blocks.push(hops.reduce((a, b) => a + b, 0) / hops.length);
+
+        const toDb = (power) => -0.691 + 10 * Math.log10(power);
+        const mean = (list) => list.reduce((a, b) => a + b, 0) / list.length;
+        const absolute = blocks.filter(power => toDb(power) > -70);
+        if (absolute.length === 0) return -Infinity;
+        const relativeGate = toDb(mean(absolute)) - 10;
+        const gated = absolute.filter(power => toDb(power) > relativeGate);
+        return toDb(mean(gated));
+    }
+}
+
+window.Loudness = Loudness;
@@ -0,0 +1,243 @@
+// Motion model fed by LocationService: smoothed speed, course over ground, best-guess heading
+// and a stationary / walking / fast state that the mixer and UI can subscribe to.
+// Course comes from the GPS (coords.heading, else bearing between fixes); when the walker is
+// standing still the DeviceOrientation compass takes over.
+class MotionModel {
+    constructor(options = {}) {
+        this.options = {
+            speedSmoothing: 0.35,   // EMA weight of the newest speed sample (0..1)
+            stationaryBelow: 0.4,   // m/s; slower than this counts as standing still
+            fastAbove: 2.5,         // m/s; faster than this is running / cycling / driving
+            stateMargin: 0.15,      // m/s of hysteresis between states
+            minCourseSpeed: 0.6,    // m/s; GPS course is noise below this
+            minSpeedInterval: 0.5,  // s; fixes closer together than this (watch + poll) give no track speed
+            headingStep: 2,         // degrees the heading must turn before heading callbacks fire
+            ...options
+        };
+        this.callbacks = [];
+        this.stateCallbacks = [];
+        this.headingCallbacks = [];
+        this.compassHeading = null;
+        this._orientationHandler = null;
+        this.distanceWalked = 0; // meters; survives reset() so GPS dropouts and teleports don't zero it
+        this.reset();
+    }
+
+    // Forget motion history (new walk, provider swap)
+    reset() {
+        this.speed = 0;
+        this.course = null;        // degrees from north, direction of travel
+        this.heading = null;       // degrees; course when moving, compass when stationary
+        this.headingSource = null; // 'gps' | 'track' | 'compass'
+        this.state = 'stationary';
+        this.stateSince = null;    // fix timestamp of the last state change (first fix after a reset)
+        this.fixTime = null;       // timestamp of the newest fix; state durations run on fix time so replays match
+        this.lastPosition = null;
+        this.courseAnchor = null;  // last point a track bearing was measured from
+        this.reportedHeading = null; // heading at the last heading callback
+        this.odometerAnchor = null; // last point counted into distanceWalked
+    }
+
+    // Start the distance walked from zero (new walk)
+    resetDistance() {
+        this.distanceWalked = 0;
+        this.odometerAnchor = null;
+    }
+
+    // Add callback for every motion update: callback(snapshot)
+    onUpdate(callback) {
+        this.callbacks.push(callback);
+    }
+
+    // Add callback for state transitions: callback(newState, previousState, snapshot)
+    onStateChange(callback) {
+        this.stateCallbacks.push(callback);
+    }
+
+    // Add callback for heading turns of at least headingStep, including compass turns
+    // between fixes while standing still: callback(heading, source)
+    onHeadingChange(callback) {
+        this.headingCallbacks.push(callback);
+    }
+
+    // Feed a position from LocationService ({ latitude, longitude, accuracy, timestamp, speed?, heading? })
+    update(position) {
+        const last = this.lastPosition;
+        this.fixTime = position.timestamp;
+        if (this.stateSince === null) this.stateSince = position.timestamp;
+        const dt = last ? (position.timestamp - last.timestamp) / 1000 : 0;
+
+        // Speed: prefer the GPS Doppler value, else distance between smoothed fixes. Two fixes a few ms
+        // apart (watch and poll answering together) would give a huge speed, so those are measured
+        // from the older fix once enough time has passed instead
+        let sample = null;
+        const measurable = !last || dt >= this.options.minSpeedInterval;
+        if (typeof position.speed === 'number' && isFinite(position.speed) && position.speed >= 0) {
+            sample = position.speed;
+        } else if (last && measurable) {
+            sample = Geo.distance(last.latitude, last.longitude, position.latitude, position.longitude) / dt;
+        }
+        if (sample !== null) {
+            const a = this.options.speedSmoothing;
+            this.speed = last ? this.speed + a * (sample - this.speed) : sample;
+        }
+
+        // Course over ground: GPS heading when moving fast enough, else bearing between fixes
+        // once we've moved further than the fixes are uncertain
+        const gpsHeading = position.heading;
+        if (typeof gpsHeading === 'number' && isFinite(gpsHeading) && this.speed >= this.options.minCourseSpeed) {
+            this.course = gpsHeading;
+            this.headingSource = 'gps';
+        } else if (this.courseAnchor) {
+            const anchor = this.courseAnchor;
+            const moved = Geo.distance(anchor.latitude, anchor.longitude, position.latitude, position.longitude);
+            if (moved > Math.max(3, position.accuracy || 0)) {
+                if (this.speed >= this.options.minCourseSpeed) {
+                    this.course = Geo.bearing(anchor.latitude, anchor.longitude, position.latitude, position.longitude);
+                    this.headingSource = 'track';
+                }
+                this.courseAnchor = { latitude: position.latitude, longitude: position.longitude };
+            }
+        }
+        if (!this.courseAnchor) this.courseAnchor = { latitude: position.latitude, longitude: position.longitude };
+
+        // Distance walked: only moves beyond the fix uncertainty count, so GPS jitter while standing still doesn't add up
+        const odometer = this.odometerAnchor;
+        if (!odometer) {
+            this.odometerAnchor = { latitude: position.latitude, longitude: position.longitude };
+        } else {
+            const step = Geo.distance(odometer.latitude, odometer.longitude, position.latitude, position.longitude);
+            if (step > Math.max(3, position.accuracy || 0)) {
+                this.distanceWalked += step;
+                this.odometerAnchor = { latitude: position.latitude, longitude: position.longitude };
+            }
+        }
+
+        this.updateState();
+        this.updateHeading();
+        if (measurable) this.lastPosition = { latitude: position.latitude, longitude: position.longitude, timestamp: position.timestamp };
+
+        const snapshot = this.getSnapshot();
+        this.callbacks.forEach(callback => {
+            try {
+                callback(snapshot);
+            } catch (e) {
+                console.error('Motion callback error:', e);
+            }
+        });
+        return snapshot;
+    }
+
+    // Stationary / walking / fast with a margin so the state doesn't flicker at a threshold
+    updateState() {
+        const { stationaryBelow, fastAbove, stateMargin } = this.options;
+        let next = this.state;
+        if (this.state === 'stationary' && this.speed > stationaryBelow + stateMargin) next = 'walking';
+        if (this.state !== 'fast' && this.speed > fastAbove + stateMargin) next = 'fast';
+        if (this.state === 'fast' && this.speed < fastAbove - stateMargin) next = 'walking';
+        if (next !== 'stationary' && this.speed < stationaryBelow) next = 'stationary';
+
+        if (next !== this.state) {
+            const previous = this.state;
+            this.state = next;
+            this.stateSince = this.fixTime;
+            console.log(`🚶 Motion: ${previous} → ${next} (${this.speed.toFixed(2)} m/s)`);
+            const snapshot = this.getSnapshot();
+            this.stateCallbacks.forEach(callback => {
+                try {
+                    callback(next, previous, snapshot);
+                } catch (e) {
+                    console.error('Motion state callback error:', e);
+                }
+            });
+        }
+    }
+
+    // Pick the best heading for the current state
+    updateHeading() {
+        if (this.state === 'stationary' && this.compassHeading !== null) {
+            this.heading = this.compassHeading;
+            this.headingSource = 'compass';
+        } else if (this.course !== null) {
+            this.heading = this.course;
+        } else if (this.compassHeading !== null) {
+            this.heading = this.compassHeading;
+            this.headingSource = 'compass';
+        }
+        this.notifyHeading();
+    }
+
+    // Tell heading listeners when the heading has turned far enough
+    notifyHeading() {
+        if (this.heading === null) return;
+        if (this.reportedHeading !== null) {
+            const turned = Math.abs(((this.heading - this.reportedHeading + 540) % 360) - 180);
+            if (turned < this.options.headingStep) return;
+        }
+        this.reportedHeading = this.heading;
+        this.headingCallbacks.forEach(callback => {
+            try {
+                callback(this.heading, this.headingSource);
+            } catch (e) {
+                console.error('Heading callback error:', e);
+            }
+        });
+    }
+
+    // Current motion values
+    getSnapshot() {
+        return {
+            speed: this.speed,
+            course: this.course,
+            heading: this.heading,
+            headingSource: this.headingSource,
+            state: this.state,
+            stateSeconds: this.stateSince !== null ? Math.max(0, this.fixTime - this.stateSince) / 1000 : 0,
+            distanceWalked: this.distanceWalked
+        };
+    }
+
+    // iOS 13+ needs an explicit permission prompt (call from a user gesture)
+    async requestCompassPermission() {
+        if (typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function') {
+            try {
+                return (await DeviceOrientationEvent.requestPermission()) === 'granted';
+            } catch (e) {
+                console.warn('Compass permission failed:', e);
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Listen to the device compass
+    startCompass() {
+        if (this._orientationHandler || typeof window === 'undefined' || !window.addEventListener) return;
+        this._orientationHandler = (event) => this.handleOrientation(event);
+        // Chrome exposes true-north readings on a separate event
+        const eventName = 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+        this._orientationEvent = eventName;
+        window.addEventListener(eventName, this._orientationHandler);
+    }
+
+    stopCompass() {
+        if (!this._orientationHandler) return;
+        window.removeEventListener(this._orientationEvent, this._orientationHandler);
+        this._orientationHandler = null;
+    }
+
+    // DeviceOrientation → compass heading (degrees from north)
+    handleOrientation(event) {
+        let heading = null;
+        if (typeof event.webkitCompassHeading === 'number') {
+            heading = event.webkitCompassHeading; // iOS: already clockwise from north
+        } else if (event.absolute && typeof event.alpha === 'number') {
+            heading = (360 - event.alpha) % 360;   // alpha is counter-clockwise
+        }
+        if (heading === null) return;
+        this.compassHeading = heading;
+        if (this.state === 'stationary') this.updateHeading();
+    }
+}
+
+window.MotionModel = MotionModel;
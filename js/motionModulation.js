@@ -0,0 +1,96 @@
+// Motion-driven layer parameters (`modulation` on an audioLayers entry in zones.geojson).
+// Each mapping reads one motion value and drives one layer parameter, e.g.
+//   { "source": "stillSeconds", "target": "volume", "input": [0, 8], "output": [1, 0.2] }
+// Sources (MotionModel snapshot): speed (m/s), stillSeconds (time standing still), distanceWalked (m).
+// Targets: volume (gain factor on the zone volume), cutoff (lowpass Hz, moves on a log scale),
+// rate (playback rate; pitch moves with it). Loops stay phase-locked at rate 1, so rate mappings
+// are only accepted for one-pass layers ({ loop: false }); on a looping layer they are rejected here.
+// The input range is clamped; `curve` takes any fadeCurve spec (fadeCurve.js) and shapes the way
+// towards the larger output, so two stems with mirrored outputs and "equalPower" crossfade evenly.
+// Several mappings on one target combine: volume and rate multiply, cutoff takes the lowest.
+class MotionModulation {
+    constructor(specs = [], { loop = false } = {}) {
+        this.loop = loop; // the layer loops (phase-locked), so it can't take a rate
+        this.mappings = (Array.isArray(specs) ? specs : [specs]).map(spec => this.parseMapping(spec)).filter(Boolean);
+    }
+
+    // Validate one mapping: { source, target, input: [a, b], output: [c, d], curve }
+    parseMapping(spec) {
+        const pair = (value) => Array.isArray(value) && value.length === 2 && value.every(v => typeof v === 'number' && isFinite(v));
+        if (!spec || !MotionModulation.SOURCES.includes(spec.source) || !MotionModulation.TARGETS.includes(spec.target)
+            || !pair(spec.input) || !pair(spec.output) || spec.input[0] === spec.input[1]) {
+            console.warn(`Invalid modulation ${JSON.stringify(spec)}, skipping`);
+            return null;
+        }
+        if (spec.target === 'cutoff' && spec.output.some(v => v <= 0)) {
+            console.warn(`Modulation cutoff needs positive frequencies, skipping`);
+            return null;
+        }
+        if (spec.target === 'rate' && this.loop) {
+            console.warn(`Modulation ${JSON.stringify(spec)} needs a layer with loop: false (loops stay phase-locked at rate 1), skipping`);
+            return null;
+        }
+        return {
+            source: spec.source,
+            target: spec.target,
+            input: spec.input,
+            output: spec.output,
+            curve: new FadeCurve(spec.curve || 'linear')
+        };
+    }
+
+    // True if any mapping drives this target
+    drives(target) {
+        return this.mappings.some(mapping => mapping.target === target);
+    }
+
+    // Motion values the mappings read, from a MotionModel snapshot
+    static readSource(source, motion) {
+        switch (source) {
+            case 'speed':
+                return motion.speed || 0;
+            case 'stillSeconds':
+                return motion.state === 'stationary' ? motion.stateSeconds || 0 : 0;
+            case 'distanceWalked':
+                return motion.distanceWalked || 0;
+        }
+        return 0;
+    }
+
+    // Output of one mapping for a motion snapshot
+    mapValue(mapping, motion) {
+        const [a, b] = mapping.input;
+        const [c, d] = mapping.output;
+        const t = Math.max(0, Math.min(1, (MotionModulation.readSource(mapping.source, motion) - a) / (b - a)));
+        // The curve rises towards the larger output, whichever end of the input that is
+        const low = Math.min(c, d);
+        const high = Math.max(c, d);
+        const f = mapping.curve.valueAt(c <= d ? t : 1 - t);
+        return mapping.target === 'cutoff'
+            ? low * Math.pow(high / low, f)
+            : low + (high - low) * f;
+    }
+
+    // { volume, cutoff, rate } for a motion snapshot; cutoff and rate are null when not mapped
+    evaluate(motion) {
+        const values = { volume: 1, cutoff: null, rate: null };
+        this.mappings.forEach(mapping => {
+            const value = this.mapValue(mapping, motion);
+            if (mapping.target === 'volume') values.volume *= Math.max(0, value);
+            else if (mapping.target === 'rate') values.rate = (values.rate ?? 1) * value;
+            else if (mapping.target === 'cutoff') values.cutoff = values.cutoff === null ? value : Math.min(values.cutoff, value);
+        });
+        if (values.rate !== null) values.rate = Math.max(0.25, Math.min(4, values.rate));
+        return values;
+    }
+
+    // "stillSeconds→volume, speed→cutoff" for the debug panel
+    toString() {
+        return this.mappings.map(mapping => `${mapping.source}→${mapping.target}`).join(', ') || 'none';
+    }
+}
+
+MotionModulation.SOURCES = ['speed', 'stillSeconds', 'distanceWalked'];
+MotionModulation.TARGETS = ['volume', 'cutoff', 'rate'];
+
+window.MotionModulation = MotionModulation;
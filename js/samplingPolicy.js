@@ -0,0 +1,162 @@
+// Adaptive location sampling: how hard to drive the GPS given how close the walker is to the
+// nearest trigger boundary, how fast they are moving and how much battery is left.
+// Near a boundary the full rate applies (a fresh high-accuracy watchPosition plus a 2s
+// getCurrentPosition poll); between zones the watch itself relaxes too: it accepts cached fixes
+// (maximumAge) and, far from zones or on a low battery, drops high accuracy.
+// The boundary distance comes from a source function (the mixer knows the zones), so the
+// policy itself never touches the DOM or audio.
+class SamplingPolicy {
+    constructor(options = {}) {
+        this.configure(options);
+        this.distanceSource = null;
+        this.battery = null;        // { level 0..1, charging } once the Battery Status API answers
+        this.callbacks = [];
+        this.profile = this.buildProfile('near');
+        this.lastDistance = null;
+    }
+
+    // Apply settings (globalSettings.sampling in zones.geojson)
+    configure(options = {}) {
+        this.options = {
+            enabled: true,
+            nearDistance_m: 30,          // within this of a boundary: full rate
+            farDistance_m: 150,          // beyond this: slowest rate
+            tierMargin_m: 10,            // must be this much further out before slowing down (no flapping)
+            lookaheadSeconds: 20,        // distance the walker covers in this time counts as already covered
+            nearPollMs: 2000,            // getCurrentPosition poll interval near a boundary
+            midPollMs: 6000,
+            farPollMs: 0,                // 0 = watchPosition only
+            nearMaximumAgeMs: 0,         // watchPosition maximumAge: how old a cached fix may be
+            midMaximumAgeMs: 10000,
+            farMaximumAgeMs: 30000,
+            midHighAccuracy: true,       // GPS chip on between near and far
+            farHighAccuracy: false,      // far from zones, network positioning is enough
+            lowBatteryLevel: 0.2,        // at or below this (and not charging) the battery saver applies
+            lowBatteryStretch: 2,        // multiply mid/far poll intervals and maximumAge on a low battery
+            lowBatteryMidHighAccuracy: false, // keep the GPS chip on in the mid tier with a low battery?
+            ...this.options,
+            ...options
+        };
+    }
+
+    // Back to the full rate (new walk: we don't know where the walker is yet)
+    reset() {
+        this.profile = this.buildProfile('near');
+        this.lastDistance = null;
+    }
+
+    // Function(position) -> meters to the nearest trigger boundary, or null when unknown
+    setDistanceSource(fn) {
+        this.distanceSource = typeof fn === 'function' ? fn : null;
+    }
+
+    // Add callback for profile changes: callback(profile, previousProfile)
+    onChange(callback) {
+        this.callbacks.push(callback);
+    }
+
+    // Follow the battery level where the Battery Status API exists (Chrome/Android)
+    async startBatteryMonitor() {
+        if (typeof navigator === 'undefined' || typeof navigator.getBattery !== 'function') return false;
+        try {
+            const battery = await navigator.getBattery();
+            const read = () => {
+                this.battery = { level: battery.level, charging: battery.charging };
+            };
+            read();
+            battery.addEventListener('levelchange', read);
+            battery.addEventListener('chargingchange', read);
+            console.log(`🔋 Battery ${Math.round(battery.level * 100)}%${battery.charging ? ' (charging)' : ''}`);
+            return true;
+        } catch (e) {
+            console.warn('Battery status unavailable:', e);
+            return false;
+        }
+    }
+
+    // True when the battery saver should apply
+    isLowBattery() {
+        return !!(this.battery && !this.battery.charging && this.battery.level <= this.options.lowBatteryLevel);
+    }
+
+    // Re-evaluate for a new position; returns the (possibly unchanged) profile
+    update(position, motion = null) {
+        let tier = 'near';
+        if (this.options.enabled && position && !position.estimated && this.distanceSource) {
+            let distance = null;
+            try {
+                distance = this.distanceSource(position);
+            } catch (e) {
+                console.error('Sampling distance source error:', e);
+            }
+            if (typeof distance === 'number' && isFinite(distance)) {
+                // Walking towards a boundary brings it closer; uncertainty does too
+                const speed = motion && motion.state !== 'stationary' ? motion.speed || 0 : 0;
+                const effective = distance - speed * this.options.lookaheadSeconds - (position.accuracy || 0);
+                this.lastDistance = distance;
+                tier = this.chooseTier(effective);
+            }
+        }
+        // No zones / no distance / estimated position: stay at the full rate
+
+        const next = this.buildProfile(tier);
+        if (!this.sameProfile(next, this.profile)) {
+            const previous = this.profile;
+            this.profile = next;
+            console.log(`📶 Sampling: ${previous.tier} → ${next.tier} (poll ${next.pollMs ? next.pollMs / 1000 + 's' : 'off'}, high accuracy ${next.enableHighAccuracy ? 'on' : 'off'}, max age ${next.maximumAge / 1000}s)`);
+            this.callbacks.forEach(callback => {
+                try {
+                    callback(next, previous);
+                } catch (e) {
+                    console.error('Sampling callback error:', e);
+                }
+            });
+        }
+        return this.profile;
+    }
+
+    // Tier for an effective distance; slowing down needs tierMargin_m extra, speeding up is immediate
+    chooseTier(distance) {
+        const { nearDistance_m, farDistance_m, tierMargin_m } = this.options;
+        const rank = { near: 0, mid: 1, far: 2 };
+        const current = this.profile ? this.profile.tier : 'near';
+        const raw = distance <= nearDistance_m ? 'near' : distance <= farDistance_m ? 'mid' : 'far';
+        if (rank[raw] <= rank[current]) return raw;
+
+        const withMargin = distance - tierMargin_m;
+        return withMargin <= nearDistance_m ? 'near' : withMargin <= farDistance_m ? 'mid' : 'far';
+    }
+
+    // Provider settings for a tier
+    buildProfile(tier) {
+        const low = this.isLowBattery();
+        const stretch = low && tier !== 'near' ? this.options.lowBatteryStretch : 1;
+        const pick = (near, mid, far) => tier === 'near' ? near : tier === 'mid' ? mid : far;
+        const base = pick(this.options.nearPollMs, this.options.midPollMs, this.options.farPollMs);
+        const highAccuracy = pick(true, this.options.midHighAccuracy && !(low && !this.options.lowBatteryMidHighAccuracy), this.options.farHighAccuracy);
+        return {
+            tier,
+            pollMs: base > 0 ? base * stretch : 0,
+            enableHighAccuracy: highAccuracy,
+            maximumAge: pick(this.options.nearMaximumAgeMs, this.options.midMaximumAgeMs, this.options.farMaximumAgeMs) * stretch,
+            lowBattery: low
+        };
+    }
+
+    // Profiles differ only if the provider would do something different
+    sameProfile(a, b) {
+        return !!b && a.tier === b.tier && a.pollMs === b.pollMs && a.enableHighAccuracy === b.enableHighAccuracy
+            && a.maximumAge === b.maximumAge;
+    }
+
+    // Summary for the debug panel
+    getStatus() {
+        return {
+            ...this.profile,
+            distance: this.lastDistance,
+            battery: this.battery ? Math.round(this.battery.level * 100) : null
+        };
+    }
+}
+
+window.SamplingPolicy = SamplingPolicy;
@@ -0,0 +1,181 @@
+// Time-of-day and calendar conditions (`schedule` on a zone or an audioLayers entry in zones.geojson).
+// Every condition given must hold; a list matches if any of its entries does.
+//   hours - { from, to } or a list of them. Times are "HH:MM" in the device's local time, or
+//           "sunrise" / "sunset" with an optional offset in minutes ("sunset+30", "sunrise-45").
+//           Ranges may wrap midnight; "22:00-05:00" is shorthand for clock times. The hours after
+//           midnight belong to the day the range started, so days/dates are checked against that day.
+//   days  - weekdays, "mon".."sun" or 0 (Sunday)..6
+//   dates - { from, to } as "MM-DD" (every year, may wrap New Year) or "YYYY-MM-DD", inclusive
+// Sunrise and sunset are computed on the device from the zone's position, no network needed.
+class Schedule {
+    // spec: the `schedule` object; location: {lat, lng} for sunrise/sunset
+    constructor(spec = {}, location = null) {
+        this.spec = spec;
+        this.location = location && typeof location.lat === 'number' && typeof location.lng === 'number' ? location : null;
+        this.hours = Schedule.list(spec.hours).map(range => Schedule.parseRange(range)).filter(Boolean);
+        this.days = Schedule.list(spec.days).map(day => Schedule.parseDay(day)).filter(day => day !== null);
+        this.dates = Schedule.list(spec.dates).filter(range => range && typeof range.from === 'string' && typeof range.to === 'string');
+        this.sunDay = null;  // local date the cached sun times belong to
+        this.sun = null;     // { sunrise, sunset } in minutes after local midnight
+    }
+
+    static list(value) {
+        return Array.isArray(value) ? value : (value ? [value] : []);
+    }
+
+    // "HH:MM" | "sunrise" | "sunset-30" -> { kind: 'clock' | 'sunrise' | 'sunset', minutes }
+    static parseTime(token) {
+        if (typeof token !== 'string') return null;
+        const clock = token.trim().match(/^(\d{1,2}):(\d{2})$/);
+        if (clock) return { kind: 'clock', minutes: Number(clock[1]) * 60 + Number(clock[2]) };
+        const sun = token.trim().toLowerCase().match(/^(sunrise|sunset)\s*(?:([+-])\s*(\d+))?$/);
+        if (sun) return { kind: sun[1], minutes: sun[2] ? Number(sun[2] + sun[3]) : 0 };
+        return null;
+    }
+
+    // { from, to } or "HH:MM-HH:MM" -> { from, to } of parsed times
+    static parseRange(range) {
+        let from = null;
+        let to = null;
+        if (typeof range === 'string') {
+            const m = range.match(/^\s*(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})\s*$/);
+            if (m) { from = Schedule.parseTime(m[1]); to = Schedule.parseTime(m[2]); }
+        } else if (range && typeof range === 'object') {
+            from = Schedule.parseTime(range.from);
+            to = Schedule.parseTime(range.to);
+        }
+        if (!from || !to) {
+            console.warn(`Invalid schedule hours ${JSON.stringify(range)}, skipping`);
+            return null;
+        }
+        return { from, to };
+    }
+
+    // "mon" / "Monday" / 1 -> 1 (Sunday is 0)
+    static parseDay(day) {
+        if (typeof day === 'number' && day >= 0 && day <= 6) return Math.floor(day);
+        if (typeof day !== 'string') return null;
+        const index = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].indexOf(day.trim().slice(0, 3).toLowerCase());
+        return index >= 0 ? index : null;
+    }
+
+    // Calendar part only (days and dates): is this a day the schedule runs on?
+    isActiveOn(date = new Date()) {
+        return this.matchesDay(date) && this.matchesDate(date);
+    }
+
+    // Is the schedule active at this moment?
+    isActive(date = new Date()) {
+        if (this.hours.length === 0) return this.isActiveOn(date);
+        const now = date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60;
+        const yesterday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1, 12);
+        return this.hours.some(({ from, to }) => {
+            const start = this.resolveTime(from, date);
+            const end = this.resolveTime(to, date);
+            if (start === null || end === null) return false;
+            if (start < end) return now >= start && now < end && this.isActiveOn(date);
+            // Wrapping range: the evening part is today's, the part after midnight is yesterday's
+            if (now >= start) return this.isActiveOn(date);
+            return now < end && this.isActiveOn(yesterday);
+        });
+    }
+
+    matchesDay(date) {
+        return this.days.length === 0 || this.days.includes(date.getDay());
+    }
+
+    matchesDate(date) {
+        if (this.dates.length === 0) return true;
+        const pad = (n) => String(n).padStart(2, '0');
+        const monthDay = `${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        const full = `${date.getFullYear()}-${monthDay}`;
+        return this.dates.some(({ from, to }) => {
+            // Full dates compare as strings; "MM-DD" ranges repeat every year and may wrap
+            if (from.length === 10 && to.length === 10) return full >= from && full <= to;
+            const start = from.slice(-5);
+            const end = to.slice(-5);
+            return start <= end
+                ? monthDay >= start && monthDay <= end
+                : monthDay >= start || monthDay <= end;
+        });
+    }
+
+    // Minutes after local midnight for a parsed time on this date, or null if unknown
+    resolveTime(time, date) {
+        if (time.kind === 'clock') return time.minutes;
+        const sun = this.getSunTimes(date);
+        if (!sun) return null;
+        return sun[time.kind] + time.minutes;
+    }
+
+    // Sunrise/sunset for the local day of `date`, cached per day
+    getSunTimes(date) {
+        if (!this.location) {
+            if (!this.warnedNoLocation) console.warn('Schedule uses sunrise/sunset but has no location');
+            this.warnedNoLocation = true;
+            return null;
+        }
+        const day = date.toDateString();
+        if (this.sunDay !== day) {
+            const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+            const { sunrise, sunset, polar } = Schedule.sunTimes(noon, this.location.lat, this.location.lng);
+            const minutes = (d) => d.getHours() * 60 + d.getMinutes() + d.getSeconds() / 60;
+            // Polar night: the sun never rises (night all day); polar day: it never sets
+            if (polar === 'night') this.sun = { sunrise: 24 * 60, sunset: 0 };
+            else if (polar === 'day') this.sun = { sunrise: 0, sunset: 24 * 60 };
+            else this.sun = { sunrise: minutes(sunrise), sunset: minutes(sunset) };
+            this.sunDay = day;
+        }
+        return this.sun;
+    }
+
+    // Sunrise and sunset around `date` at lat/lng (solar position approximation, about a minute off).
+    // Returns { sunrise, sunset } as Dates, or { polar: 'day' | 'night' } when the sun doesn't cross the horizon.
+    static sunTimes(date, lat, lng) {
+        const rad = Math.PI / 180;
+        const dayMs = 86400000;
+        const J1970 = 2440588;
+        const J2000 = 2451545;
+        const J0 = 0.0009;
+        const obliquity = rad * 23.4397;
+
+        const lw = rad * -lng;
+        const phi = rad * lat;
+        const d = date.valueOf() / dayMs - 0.5 + J1970 - J2000;
+        const cycle = Math.round(d - J0 - lw / (2 * Math.PI));
+        const approxTransit = (hourAngle) => J0 + (hourAngle + lw) / (2 * Math.PI) + cycle;
+
+        const ds = approxTransit(0);
+        const M = rad * (357.5291 + 0.98560028 * ds); // solar mean anomaly
+        const C = rad * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+        const L = M + C + rad * 102.9372 + Math.PI;   // ecliptic longitude
+        const declination = Math.asin(Math.sin(obliquity) * Math.sin(L));
+        const transit = (j) => J2000 + j + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+
+        // Hour angle where the sun's upper edge meets the horizon (-0.833° for refraction)
+        const cosH = (Math.sin(-0.833 * rad) - Math.sin(phi) * Math.sin(declination)) / (Math.cos(phi) * Math.cos(declination));
+        if (cosH > 1) return { sunrise: null, sunset: null, polar: 'night' };
+        if (cosH < -1) return { sunrise: null, sunset: null, polar: 'day' };
+
+        const noon = transit(ds);
+        const set = transit(approxTransit(Math.acos(cosH)));
+        const rise = noon - (set - noon);
+        const toDate = (j) => new Date((j + 0.5 - J1970) * dayMs);
+        return { sunrise: toDate(rise), sunset: toDate(set), polar: null };
+    }
+
+    // "sunset-30–sunrise, sat/sun" for logs and the debug panel
+    toString() {
+        const time = (t) => t.kind === 'clock'
+            ? `${String(Math.floor(t.minutes / 60)).padStart(2, '0')}:${String(t.minutes % 60).padStart(2, '0')}`
+            : `${t.kind}${t.minutes ? (t.minutes > 0 ? '+' : '') + t.minutes : ''}`;
+        const days = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+        const parts = [];
+        if (this.hours.length) parts.push(this.hours.map(({ from, to }) => `${time(from)}–${time(to)}`).join(' | '));
+        if (this.days.length) parts.push(this.days.map(day => days[day]).join('/'));
+        if (this.dates.length) parts.push(this.dates.map(({ from, to }) => `${from}…${to}`).join(' | '));
+        return parts.join(', ') || 'always';
+    }
+}
+
+window.Schedule = Schedule;
@@ -0,0 +1,153 @@
+// Binaural placement of zones for headphone listening.
+// Each spatial zone gets one HRTF PannerNode placed at the zone center, in meters east/north
+// of the walker; the AudioListener sits at the origin facing the walker's heading.
+// Distance loudness is left to the zone fades (rolloffFactor 0 by default), so the panner only
+// adds direction. Close to the center the direction is meaningless (it swings around with every
+// fix), so within centerRadius the zone eases to a fixed spot straight ahead of the walker.
+// The mixer routes a zone's layer gains into getOutput(zone) instead of the music bus.
+class SpatialAudio {
+    constructor(options = {}) {
+        this.options = {
+            enabled: false,           // user / globalSettings.spatial.enabled; zones opt out with spatial: false
+            panningModel: 'HRTF',
+            distanceModel: 'inverse',
+            refDistance: 5,
+            maxDistance: 10000,
+            rolloffFactor: 0,         // 0 = direction only; zone fades already handle distance
+            smoothing: 0.15,          // seconds; time constant for position/orientation changes
+            centerRadius: 5,          // meters; nearer the center than this the zone moves to straight ahead
+            ...options
+        };
+        this.context = null;
+        this.destination = null;
+        this.panners = new Map();     // zoneId -> PannerNode
+        this.position = null;         // last listener position { latitude, longitude }
+        this.heading = 0;             // degrees from north
+        this.zones = [];              // zones from the last update, re-placed on heading changes
+    }
+
+    // Apply settings (globalSettings.spatial in zones.geojson)
+    configure(options = {}) {
+        this.options = { ...this.options, ...options };
+    }
+
+    // Audio graph to build on; panners feed `destination` (the music bus)
+    setContext(context, destination) {
+        this.context = context;
+        this.destination = destination;
+    }
+
+    // Does this zone get placed in space right now?
+    isSpatial(zone) {
+        return !!(this.options.enabled && zone && zone.spatial !== false && !zone.isOneshot && zone.center);
+    }
+
+    // Node a zone's layers should connect to: its panner when spatial, else the plain destination
+    getOutput(zone) {
+        if (!this.context || !this.isSpatial(zone)) return this.destination;
+        let panner = this.panners.get(zone.id);
+        if (!panner) {
+            panner = this.context.createPanner();
+            panner.panningModel = this.options.panningModel;
+            panner.distanceModel = this.options.distanceModel;
+            panner.refDistance = this.options.refDistance;
+            panner.maxDistance = this.options.maxDistance;
+            panner.rolloffFactor = this.options.rolloffFactor;
+            panner.connect(this.destination);
+            this.panners.set(zone.id, panner);
+            this.placeZone(zone, panner, true);
+        }
+        return panner;
+    }
+
+    // New listener position/heading: move every panner and turn the listener
+    update(position, heading, zones = []) {
+        if (position) this.position = { latitude: position.latitude, longitude: position.longitude };
+        if (typeof heading === 'number' && isFinite(heading)) this.heading = heading;
+        this.zones = zones;
+        if (!this.context) return;
+        this.orientListener();
+        this.placeZones();
+    }
+
+    // Re-place the panners of the last update's zones
+    placeZones() {
+        this.zones.forEach(zone => {
+            const panner = this.panners.get(zone.id);
+            if (panner) this.placeZone(zone, panner);
+        });
+    }
+
+    // Heading-only update (compass turns while standing still)
+    setHeading(heading) {
+        if (typeof heading !== 'number' || !isFinite(heading)) return;
+        this.heading = heading;
+        if (!this.context) return;
+        this.orientListener();
+        // Zones near their center sit straight ahead, so they turn with the walker
+        this.placeZones();
+    }
+
+    // Point the listener along the heading: x = east, y = up, -z = north
+    orientListener() {
+        const listener = this.context.listener;
+        const h = this.heading * Math.PI / 180;
+        const fx = Math.sin(h);
+        const fz = -Math.cos(h);
+        if (listener.forwardX) {
+            const t = this.context.currentTime;
+            const k = this.options.smoothing;
+            listener.forwardX.setTargetAtTime(fx, t, k);
+            listener.forwardY.setTargetAtTime(0, t, k);
+            listener.forwardZ.setTargetAtTime(fz, t, k);
+            listener.upX.setTargetAtTime(0, t, k);
+            listener.upY.setTargetAtTime(1, t, k);
+            listener.upZ.setTargetAtTime(0, t, k);
+        } else if (listener.setOrientation) {
+            listener.setOrientation(fx, 0, fz, 0, 1, 0);
+        }
+    }
+
+    // Put a zone's panner at its center relative to the listener. Inside centerRadius the position
+    // blends towards a point centerRadius meters straight ahead, reaching it at the center itself.
+    placeZone(zone, panner, immediate = false) {
+        if (!this.position) return;
+        let [east, north] = this.toLocal(zone.center.lat, zone.center.lng);
+        const radius = this.options.centerRadius;
+        const distance = Math.hypot(east, north);
+        if (radius > 0 && distance < radius) {
+            const h = this.heading * Math.PI / 180;
+            const t = distance / radius;
+            east = east * t + Math.sin(h) * radius * (1 - t);
+            north = north * t + Math.cos(h) * radius * (1 - t);
+        }
+        if (panner.positionX) {
+            const t = this.context.currentTime;
+            const k = immediate ? 0.001 : this.options.smoothing;
+            panner.positionX.setTargetAtTime(east, t, k);
+            panner.positionY.setTargetAtTime(0, t, k);
+            panner.positionZ.setTargetAtTime(-north, t, k);
+        } else if (panner.setPosition) {
+            panner.setPosition(east, 0, -north);
+        }
+    }
+
+    // Meters east/north of the listener (flat projection; fine at walking scale)
+    toLocal(lat, lng) {
+        return Geo.projector(this.position.latitude, this.position.longitude)({ lat, lng });
+    }
+
+    // Drop all panners (spatial mode switched off or mixer reset); callers reconnect their layers
+    clear() {
+        this.panners.forEach(panner => {
+            try {
+                panner.disconnect();
+            } catch (e) {
+                // already disconnected
+            }
+        });
+        this.panners.clear();
+    }
+}
+
+window.SpatialAudio = SpatialAudio;
@@ -0,0 +1,131 @@
+// Story rules for non-linear walks, declared per zone (`story` in zones.geojson) with walk-wide
+// settings in globalSettings.story. Flags are plain strings; a oneshot that fires sets a flag
+// named after its zone id, plus any it lists in `sets`.
+//   requires   - flags that must all be set before the zone can fire / be heard
+//   disabledBy - any of these flags switches the zone off
+//   sets       - extra flags set when the oneshot fires
+//   clears     - flags cleared when the oneshot fires
+//   branch     - zones sharing a branch name are mutually exclusive: the first to fire locks the rest
+// Oneshot zones without a rule of their own take globalSettings.story.defaults; music zones only
+// follow `requires` / `disabledBy` (they fade out while disabled).
+class StoryEngine {
+    constructor() {
+        this.zones = new Map();   // zoneId -> { isOneshot, rule }
+        this.defaults = {};       // rule keys applied to oneshot zones that don't set them
+        this.initialFlags = [];
+        this.callbacks = [];
+        this.reset();
+    }
+
+    // Apply walk-wide settings (globalSettings.story: { defaults, initialFlags })
+    configure(settings = {}) {
+        if (settings.defaults && typeof settings.defaults === 'object') this.defaults = { ...settings.defaults };
+        if (Array.isArray(settings.initialFlags)) this.initialFlags = [...settings.initialFlags];
+        this.reset();
+    }
+
+    // Forget progress (new walk)
+    reset() {
+        this.flags = new Set(this.initialFlags);
+        this.fired = new Set();
+        this.branches = new Map(); // branch -> zoneId that took it
+    }
+
+    // Register a zone's rule
+    addZone(zone) {
+        this.zones.set(zone.id, { isOneshot: !!zone.isOneshot, rule: zone.story || {} });
+    }
+
+    // Rule for a zone with list keys normalized to arrays
+    getRule(zoneId) {
+        const entry = this.zones.get(zoneId);
+        if (!entry) return { requires: [], disabledBy: [], sets: [], clears: [], branch: null };
+        const rule = entry.isOneshot ? { ...this.defaults, ...entry.rule } : entry.rule;
+        const list = (value) => Array.isArray(value) ? value : (value ? [value] : []);
+        return {
+            requires: list(rule.requires),
+            disabledBy: list(rule.disabledBy),
+            sets: list(rule.sets),
+            clears: list(rule.clears),
+            branch: rule.branch || null
+        };
+    }
+
+    // Can this zone fire / play now? { allowed, state, reason }
+    // state: 'played' | 'available' | 'locked' (waiting on flags) | 'disabled' (switched off or branch taken)
+    check(zoneId) {
+        if (this.fired.has(zoneId)) return { allowed: false, state: 'played', reason: 'already played' };
+        const rule = this.getRule(zoneId);
+        const off = rule.disabledBy.find(flag => this.flags.has(flag));
+        if (off) return { allowed: false, state: 'disabled', reason: `disabled by ${off}` };
+        if (rule.branch && this.branches.has(rule.branch)) {
+            return { allowed: false, state: 'disabled', reason: `branch ${rule.branch} taken by ${this.branches.get(rule.branch)}` };
+        }
+        const missing = rule.requires.filter(flag => !this.flags.has(flag));
+        if (missing.length) return { allowed: false, state: 'locked', reason: `needs ${missing.join(', ')}` };
+        return { allowed: true, state: 'available', reason: '' };
+    }
+
+    // Music zones: audible unless their flags say otherwise
+    isEnabled(zoneId) {
+        const state = this.check(zoneId).state;
+        return state === 'available' || state === 'played';
+    }
+
+    // A oneshot fired: record it and update flags and branches
+    fire(zoneId) {
+        const rule = this.getRule(zoneId);
+        this.fired.add(zoneId);
+        this.flags.add(zoneId);
+        rule.sets.forEach(flag => this.flags.add(flag));
+        rule.clears.forEach(flag => this.flags.delete(flag));
+        if (rule.branch && !this.branches.has(rule.branch)) this.branches.set(rule.branch, zoneId);
+        if (rule.sets.length || rule.clears.length || rule.branch) {
+            console.log(`📖 Story: ${zoneId} fired (flags: ${[...this.flags].join(', ')})`);
+        }
+        this.notify(zoneId);
+    }
+
+    // Set or clear a flag from outside the rules (debug tools, other systems)
+    setFlag(flag, value = true) {
+        if (value) this.flags.add(flag);
+        else this.flags.delete(flag);
+        this.notify(null);
+    }
+
+    hasFlag(flag) {
+        return this.flags.has(flag);
+    }
+
+    // Add callback for story changes: callback({ zoneId, flags })
+    onChange(callback) {
+        this.callbacks.push(callback);
+    }
+
+    // Tell listeners the story moved on
+    notify(zoneId) {
+        const change = { zoneId, flags: [...this.flags] };
+        this.callbacks.forEach(callback => {
+            try {
+                callback(change);
+            } catch (e) {
+                console.error('Story callback error:', e);
+            }
+        });
+    }
+
+    // Configured oneshots with their state, in registration order, for the debug panel
+    getGraph() {
+        const graph = [];
+        this.zones.forEach((entry, zoneId) => {
+            if (!entry.isOneshot) return;
+            const rule = this.getRule(zoneId);
+            const { state, reason } = this.check(zoneId);
+            graph.push({ id: zoneId, state, reason, requires: rule.requires, branch: rule.branch });
+        });
+        return graph;
+    }
+}
+
+// Create global instance
+window.storyEngine = new StoryEngine();
@@ -0,0 +1,100 @@
+// Streaming playback for long layers (`streaming: true` on an audioLayers entry): an <audio>
+// element feeding the graph through a MediaElementAudioSourceNode, so the file plays while it
+// downloads and is never decoded to PCM in memory.
+// It mimics the parts of AudioBufferSourceNode the mixer uses (connect, start(when, offset),
+// stop, loop, onended), so gains, buses, fades and ducking work unchanged. One instance lives
+// for the layer's lifetime because a media element can only ever be attached to one source node.
+// Starts are timed with setTimeout, so quantized entries land within a few milliseconds of the grid.
+class StreamingSource {
+    constructor(context, url) {
+        this.context = context;
+        this.element = new Audio();
+        this.element.crossOrigin = 'anonymous'; // without CORS the node outputs silence
+        this.element.preload = 'auto';
+        this.element.src = url;
+        this.node = context.createMediaElementSource(this.element);
+        this.onended = null;
+        this.startTimer = null;
+        this.element.addEventListener('ended', () => {
+            if (this.onended) this.onended();
+        });
+    }
+
+    // Resolves once the duration is known (enough to schedule and loop)
+    ready(timeoutMs = 15000) {
+        if (this.element.readyState >= 1) return Promise.resolve(this);
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => done(new Error('Timed out waiting for stream metadata')), timeoutMs);
+            const done = (error) => {
+                clearTimeout(timer);
+                this.element.removeEventListener('loadedmetadata', onReady);
+                this.element.removeEventListener('error', onError);
+                if (error) reject(error);
+                else resolve(this);
+            };
+            const onReady = () => done(null);
+            const onError = () => done(new Error(`Stream failed to load (code ${this.element.error?.code ?? '?'})`));
+            this.element.addEventListener('loadedmetadata', onReady);
+            this.element.addEventListener('error', onError);
+            this.element.load();
+        });
+    }
+
+    get duration() {
+        return isFinite(this.element.duration) ? this.element.duration : 0;
+    }
+
+    get loop() {
+        return this.element.loop;
+    }
+
+    set loop(value) {
+        this.element.loop = !!value;
+    }
+
+    // Varispeed like a buffer source: pitch follows the rate
+    setPlaybackRate(rate) {
+        this.element.preservesPitch = false;
+        this.element.playbackRate = rate;
+    }
+
+    connect(destination) {
+        this.node.connect(destination);
+    }
+
+    disconnect() {
+        try {
+            this.node.disconnect();
+        } catch (e) {
+            // not connected
+        }
+    }
+
+    // Play from `offset` seconds at AudioContext time `when`
+    start(when = 0, offset = 0) {
+        clearTimeout(this.startTimer);
+        this.element.currentTime = offset;
+        const play = () => {
+            this.element.play().catch(e => console.warn('Streaming playback failed:', e));
+        };
+        const delay = when - this.context.currentTime;
+        if (delay > 0.01) this.startTimer = setTimeout(play, delay * 1000);
+        else play();
+    }
+
+    // Pause and detach from the graph at AudioContext time `when` (the next start reconnects).
+    // Like a buffer source, a stop fires onended.
+    stop(when = 0) {
+        clearTimeout(this.startTimer);
+        const halt = () => {
+            this.element.pause();
+            this.disconnect();
+            if (this.onended) this.onended();
+        };
+        const delay = when - this.context.currentTime;
+        if (delay > 0.01) this.startTimer = setTimeout(halt, delay * 1000);
+        else halt();
+    }
+}
+
+window.StreamingSource = StreamingSource;
@@ -0,0 +1,89 @@
+// Musical transport for the mixer: tempo and bar grid from globalSettings
+// (bpm, beatsPerBar, quantizeBars), anchored to AudioContext time when the first loop starts.
+// Every looping layer is phase-locked to that anchor (AudioMixer.getLoopOffset).
+// Quantize settings (zone or layer `quantize` in zones.geojson):
+//   "none"   - act immediately (default)
+//   "beat"   - next beat
+//   "bar"    - next bar
+//   "phrase" - next quantizeBars boundary
+//   N        - next N-bar boundary (number)
+// Times are AudioContext seconds so they can go straight to start()/setValueAtTime().
+class TransportClock {
+    constructor(options = {}) {
+        this.options = {
+            bpm: 120,
+            beatsPerBar: 4,
+            quantizeBars: 4,
+            leadTime: 0.05, // never schedule closer to "now" than this (seconds)
+            ...options
+        };
+        this.startTime = null; // AudioContext time of bar 1, beat 1
+    }
+
+    // Apply tempo settings (globalSettings.bpm / beatsPerBar / quantizeBars)
+    configure(options = {}) {
+        const next = { ...this.options };
+        ['bpm', 'beatsPerBar', 'quantizeBars', 'leadTime'].forEach(key => {
+            if (typeof options[key] === 'number' && options[key] > 0) next[key] = options[key];
+        });
+        this.options = next;
+    }
+
+    get secondsPerBeat() {
+        return 60 / this.options.bpm;
+    }
+
+    get secondsPerBar() {
+        return this.secondsPerBeat * this.options.beatsPerBar;
+    }
+
+    // Anchor the grid (only the first call counts until stop())
+    start(time) {
+        if (this.startTime !== null) return this.startTime;
+        this.startTime = time;
+        console.log(`🥁 Transport started: ${this.options.bpm} bpm, ${this.options.beatsPerBar}/4, phrase ${this.options.quantizeBars} bars`);
+        return this.startTime;
+    }
+
+    // Forget the anchor (new walk)
+    stop() {
+        this.startTime = null;
+    }
+
+    isRunning() {
+        return this.startTime !== null;
+    }
+
+    // Grid length in seconds for a quantize setting, or 0 for "none"
+    gridSeconds(quantize) {
+        if (quantize === 'beat') return this.secondsPerBeat;
+        if (quantize === 'bar') return this.secondsPerBar;
+        if (quantize === 'phrase') return this.secondsPerBar * this.options.quantizeBars;
+        if (typeof quantize === 'number' && quantize > 0) return this.secondsPerBar * quantize;
+        return 0;
+    }
+
+    // Earliest time >= now + leadTime that lies on the grid. Before the transport
+    // runs, everything is "on the grid": the caller's event will define bar 1.
+    nextBoundary(quantize, now) {
+        const earliest = now + this.options.leadTime;
+        const grid = this.gridSeconds(quantize);
+        if (!grid || this.startTime === null) return earliest;
+        const elapsed = earliest - this.startTime;
+        if (elapsed <= 0) return this.startTime;
+        // Tolerate float error so a time already on the boundary isn't pushed a whole grid later
+        return this.startTime + Math.ceil(elapsed / grid - 1e-6) * grid;
+    }
+
+    // Bar/beat at a time, for display: { bar, beat } (both 1-based)
+    getPosition(time) {
+        if (this.startTime === null || time < this.startTime) return null;
+        const beats = Math.floor((time - this.startTime) / this.secondsPerBeat);
+        return {
+            bar: Math.floor(beats / this.options.beatsPerBar) + 1,
+            beat: (beats % this.options.beatsPerBar) + 1
+        };
+    }
+}
+
+window.TransportClock = TransportClock;
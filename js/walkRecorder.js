@@ -0,0 +1,186 @@
+// Records a walk session: every fix from LocationService (with accuracy) plus mixer events
+// (oneshot triggers, part starts, ducking). Exports as GPX and as GeoJSON for later review or replay.
+class WalkRecorder {
+    constructor() {
+        this.isRecording = false;
+        this.fixes = [];   // { latitude, longitude, accuracy, timestamp, filtered: { latitude, longitude, accuracy } }
+        this.events = [];  // { type, timestamp, latitude, longitude, ...details }
+        this.startedAt = null;
+        this.stoppedAt = null;
+        this.lastFix = null;
+        this.attached = false;
+    }
+
+    // Subscribe to location updates and mixer events (once)
+    attach(locationService, audioMixer) {
+        if (this.attached) return;
+        this.attached = true;
+        locationService.onLocationUpdate((position) => {
+            if (position) this.recordFix(position);
+        });
+        audioMixer.onMixerEvent((event) => this.recordEvent(event));
+        locationService.motion.onStateChange((state, previous, motion) => {
+            this.recordEvent({ type: 'motionState', timestamp: Date.now(), state, previous, speed: motion.speed });
+        });
+    }
+
+    // Begin a new session (drops any previous recording)
+    start() {
+        this.fixes = [];
+        this.events = [];
+        this.lastFix = null;
+        this.startedAt = Date.now();
+        this.stoppedAt = null;
+        this.isRecording = true;
+        console.log('⏺️ Walk recording started');
+    }
+
+    // Stop recording but keep the data for export
+    stop() {
+        if (!this.isRecording) return;
+        this.isRecording = false;
+        this.stoppedAt = Date.now();
+        console.log(`⏹️ Walk recording stopped (${this.fixes.length} fixes, ${this.events.length} events)`);
+    }
+
+    // Store a position; the raw fix is the track point, the smoothed one rides along
+    recordFix(position) {
+        // Dead-reckoned estimates aren't GPS data; replaying them as fixes would distort the walk
+        if (!this.isRecording || position.estimated) return;
+        const raw = position.raw || position;
+        const fix = {
+            latitude: raw.latitude,
+            longitude: raw.longitude,
+            accuracy: raw.accuracy,
+            timestamp: raw.timestamp,
+            filtered: {
+                latitude: position.latitude,
+                longitude: position.longitude,
+                accuracy: position.accuracy
+            }
+        };
+        this.fixes.push(fix);
+        this.lastFix = fix;
+    }
+
+    // Store a mixer event at the walker's last known position
+    recordEvent(event) {
+        if (!this.isRecording) return;
+        const at = this.lastFix ? this.lastFix.filtered : null;
+        this.events.push({
+            ...event,
+            latitude: at ? at.latitude : null,
+            longitude: at ? at.longitude : null
+        });
+    }
+
+    // Summary for the debug panel
+    getStatus() {
+        const end = this.stoppedAt || Date.now();
+        const seconds = this.startedAt ? Math.round((end - this.startedAt) / 1000) : 0;
+        return {
+            isRecording: this.isRecording,
+            fixes: this.fixes.length,
+            events: this.events.length,
+            seconds
+        };
+    }
+
+    // GeoJSON FeatureCollection: one LineString of raw fixes plus a Point per event.
+    // Per-point times/accuracies follow the coordTimes convention used by togeojson.
+    toGeoJSON() {
+        const features = [{
+            type: 'Feature',
+            properties: {
+                name: 'THE WALK session',
+                startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+                coordTimes: this.fixes.map(f => new Date(f.timestamp).toISOString()),
+                accuracies: this.fixes.map(f => f.accuracy),
+                filteredCoordinates: this.fixes.map(f => [f.filtered.longitude, f.filtered.latitude])
+            },
+            geometry: {
+                type: 'LineString',
+                coordinates: this.fixes.map(f => [f.longitude, f.latitude])
+            }
+        }];
+
+        this.events.forEach(e => {
+            if (e.latitude === null) return;
+            const { latitude, longitude, timestamp, type, ...details } = e;
+            features.push({
+                type: 'Feature',
+                properties: {
+                    event: type,
+                    time: new Date(timestamp).toISOString(),
+                    ...details
+                },
+                geometry: { type: 'Point', coordinates: [longitude, latitude] }
+            });
+        });
+
+        return { type: 'FeatureCollection', features };
+    }
+
+    // GPX 1.1 track of raw fixes; accuracy and smoothed position go in extensions, events become waypoints
+    toGPX() {
+        const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const iso = (t) => new Date(t).toISOString();
+
+        const waypoints = this.events
+            .filter(e => e.latitude !== null)
+            .map(e => {
+                const { latitude, longitude, timestamp, type, ...details } = e;
+                return `  <wpt lat="${latitude}" lon="${longitude}">
+    <time>${iso(timestamp)}</time>
+    <name>${esc(type)}</name>
+    <desc>${esc(JSON.stringify(details))}</desc>
+    <type>${esc(type)}</type>
+  </wpt>`;
+            }).join('\n');
+
+        const points = this.fixes.map(f => `      <trkpt lat="${f.latitude}" lon="${f.longitude}">
+        <time>${iso(f.timestamp)}</time>
+        <extensions>
+          <tw:accuracy>${f.accuracy}</tw:accuracy>
+          <tw:filteredLat>${f.filtered.latitude}</tw:filteredLat>
+          <tw:filteredLon>${f.filtered.longitude}</tw:filteredLon>
+        </extensions>
+      </trkpt>`).join('\n');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="THE WALK" xmlns="http://www.topografix.com/GPX/1/1" xmlns:tw="urn:thewalk:gpx:1">
+  <metadata>
+    <name>THE WALK session</name>
+    <time>${iso(this.startedAt || Date.now())}</time>
+  </metadata>
+${waypoints}
+  <trk>
+    <name>THE WALK session</name>
+    <trkseg>
+${points}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+    }
+
+    // Trigger a browser download of the session ('gpx' or 'geojson')
+    download(format = 'gpx') {
+        const stamp = new Date(this.startedAt || Date.now()).toISOString().replace(/[:.]/g, '-');
+        const isGPX = format === 'gpx';
+        const content = isGPX ? this.toGPX() : JSON.stringify(this.toGeoJSON(), null, 2);
+        const blob = new Blob([content], { type: isGPX ? 'application/gpx+xml' : 'application/geo+json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `thewalk-${stamp}.${isGPX ? 'gpx' : 'geojson'}`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Create global instance
+window.walkRecorder = new WalkRecorder();
@@ -0,0 +1,242 @@
+// Zone geometry: circles (Point + radius_m), areas (Polygon / MultiPolygon) and corridors
+// (LineString / MultiLineString buffered by buffer_m either side).
+// Everything downstream works with the signed distance to the zone edge in meters:
+// negative inside (depth), positive outside. For circles that is distance - radius.
+// Polygon math runs in a local flat projection around the query point, which is accurate
+// to well under a meter at neighborhood scale.
+class ZoneShape {
+    constructor(type, data) {
+        this.type = type; // 'circle' | 'polygon' | 'corridor'
+        Object.assign(this, data);
+        this.center = data.center || this.computeCenter();
+    }
+
+    // Circle around { lat, lng }
+    static circle(center, radius) {
+        return new ZoneShape('circle', { center, radius });
+    }
+
+    // Build a shape from a GeoJSON geometry and the feature's properties, or null if unsupported
+    static fromGeometry(geometry, props = {}) {
+        if (!geometry || !Array.isArray(geometry.coordinates)) return null;
+        const toLatLng = ([lng, lat]) => ({ lat, lng });
+        switch (geometry.type) {
+            case 'Point': {
+                const [lng, lat] = geometry.coordinates;
+                return ZoneShape.circle({ lat, lng }, props.radius_m ?? props.radius ?? 50);
+            }
+            case 'Polygon':
+                return new ZoneShape('polygon', { polygons: [geometry.coordinates.map(ring => ring.map(toLatLng))] });
+            case 'MultiPolygon':
+                return new ZoneShape('polygon', { polygons: geometry.coordinates.map(poly => poly.map(ring => ring.map(toLatLng))) });
+            case 'LineString':
+            case 'MultiLineString': {
+                const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+                return new ZoneShape('corridor', {
+                    lines: lines.map(line => line.map(toLatLng)),
+                    buffer: props.buffer_m ?? (typeof props.width_m === 'number' ? props.width_m / 2 : 10)
+                });
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Signed distance from (lat, lng) to the zone edge in meters (negative inside)
+    signedDistance(lat, lng) {
+        if (this.type === 'circle') {
+            return Geo.distance(lat, lng, this.center.lat, this.center.lng) - this.radius;
+        }
+
+        const project = Geo.projector(lat, lng);
+        if (this.type === 'corridor') {
+            let nearest = Infinity;
+            for (const line of this.lines) {
+                const points = line.map(project);
+                if (points.length === 1) nearest = Math.min(nearest, Math.hypot(points[0][0], points[0][1]));
+                for (let i = 1; i < points.length; i++) {
+                    nearest = Math.min(nearest, this.segmentDistance(points[i - 1], points[i]));
+                }
+            }
+            return nearest - this.buffer;
+        }
+
+        // Polygon: distance to the nearest ring (outer or hole), negative if inside any polygon
+        let nearest = Infinity;
+        let inside = false;
+        for (const polygon of this.polygons) {
+            const rings = polygon.map(ring => ring.map(project));
+            rings.forEach(ring => {
+                for (let i = 1; i < ring.length; i++) {
+                    nearest = Math.min(nearest, this.segmentDistance(ring[i - 1], ring[i]));
+                }
+            });
+            // Inside the outer ring and not inside a hole
+            if (this.containsOrigin(rings[0]) && !rings.slice(1).some(hole => this.containsOrigin(hole))) {
+                inside = true;
+            }
+        }
+        return inside ? -nearest : nearest;
+    }
+
+    // Rough size for things that want a single number (preload ranges, logs)
+    getExtent() {
+        if (this.type === 'circle') return this.radius;
+        let extent = 0;
+        this.eachPoint(p => {
+            extent = Math.max(extent, Geo.distance(this.center.lat, this.center.lng, p.lat, p.lng));
+        });
+        return extent + (this.type === 'corridor' ? this.buffer : 0);
+    }
+
+    // Representative point: circle center, the area centroid of the largest polygon (moved back
+    // inside when a concave outline puts it outside), or the point halfway along a corridor's longest line
+    computeCenter() {
+        if (this.type === 'polygon') return this.polygonCenter();
+        if (this.type === 'corridor') return this.lineMidpoint();
+        return null;
+    }
+
+    // Centroid of the largest outer ring (shoelace formula); if that falls outside the zone or in a
+    // hole, the middle of the widest inside stretch on an east-west line through it
+    polygonCenter() {
+        let best = null;
+        for (const polygon of this.polygons) {
+            const outer = polygon[0];
+            if (!outer || outer.length === 0) continue;
+            const origin = outer[0];
+            const project = Geo.projector(origin.lat, origin.lng);
+            const points = outer.map(project);
+            let area = 0;
+            let cx = 0;
+            let cy = 0;
+            for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+                const cross = points[j][0] * points[i][1] - points[i][0] * points[j][1];
+                area += cross;
+                cx += (points[j][0] + points[i][0]) * cross;
+                cy += (points[j][1] + points[i][1]) * cross;
+            }
+            area /= 2;
+            if (best && Math.abs(area) <= Math.abs(best.area)) continue;
+            const centroid = area !== 0
+                ? [cx / (6 * area), cy / (6 * area)]
+                : [points.reduce((sum, p) => sum + p[0], 0) / points.length, points.reduce((sum, p) => sum + p[1], 0) / points.length];
+            best = { area, polygon, origin, project, centroid };
+        }
+        if (!best) return null;
+
+        const { origin, project } = best;
+        let [x, y] = best.centroid;
+        if (this.signedDistance(...Geo.unproject(origin.lat, origin.lng, x, y)) > 0) {
+            // Even-odd crossings of every ring (holes included) with the line y = centroid y
+            const crossings = [];
+            best.polygon.map(ring => ring.map(project)).forEach(ring => {
+                for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                    const [xi, yi] = ring[i];
+                    const [xj, yj] = ring[j];
+                    if ((yi > y) !== (yj > y)) crossings.push(xi + (y - yi) * (xj - xi) / (yj - yi));
+                }
+            });
+            crossings.sort((a, b) => a - b);
+            let widest = 0;
+            for (let i = 1; i < crossings.length; i += 2) {
+                if (crossings[i] - crossings[i - 1] > widest) {
+                    widest = crossings[i] - crossings[i - 1];
+                    x = (crossings[i] + crossings[i - 1]) / 2;
+                }
+            }
+        }
+        const [lat, lng] = Geo.unproject(origin.lat, origin.lng, x, y);
+        return { lat, lng };
+    }
+
+    // Point halfway along the longest corridor line
+    lineMidpoint() {
+        let best = null;
+        for (const line of this.lines) {
+            if (line.length === 0) continue;
+            const lengths = [];
+            let total = 0;
+            for (let i = 1; i < line.length; i++) {
+                const length = Geo.distance(line[i - 1].lat, line[i - 1].lng, line[i].lat, line[i].lng);
+                lengths.push(length);
+                total += length;
+            }
+            if (!best || total > best.total) best = { line, lengths, total };
+        }
+        if (!best) return null;
+
+        let remaining = best.total / 2;
+        for (let i = 0; i < best.lengths.length; i++) {
+            if (remaining <= best.lengths[i] && best.lengths[i] > 0) {
+                const t = remaining / best.lengths[i];
+                const a = best.line[i];
+                const b = best.line[i + 1];
+                return { lat: a.lat + (b.lat - a.lat) * t, lng: a.lng + (b.lng - a.lng) * t };
+            }
+            remaining -= best.lengths[i];
+        }
+        return { lat: best.line[0].lat, lng: best.line[0].lng };
+    }
+
+    // Visit every vertex (outer rings only for polygons)
+    eachPoint(fn) {
+        if (this.type === 'polygon') this.polygons.forEach(polygon => polygon[0].forEach(fn));
+        if (this.type === 'corridor') this.lines.forEach(line => line.forEach(fn));
+    }
+
+    // Leaflet-friendly outline: circle { center, radius }, polygon rings, or corridor pieces
+    // (a quad per segment plus a round cap per vertex, which together cover the buffer)
+    getOutline() {
+        if (this.type === 'circle') return { circles: [{ center: this.center, radius: this.radius }], polygons: [] };
+        if (this.type === 'polygon') {
+            return { circles: [], polygons: this.polygons.map(polygon => polygon.map(ring => ring.map(p => [p.lat, p.lng]))) };
+        }
+
+        const polygons = [];
+        const circles = [];
+        for (const line of this.lines) {
+            line.forEach(p => circles.push({ center: p, radius: this.buffer }));
+            for (let i = 1; i < line.length; i++) {
+                const a = line[i - 1];
+                const b = line[i];
+                const project = Geo.projector(a.lat, a.lng);
+                const [bx, by] = project(b);
+                const length = Math.hypot(bx, by) || 1;
+                // Perpendicular offset of buffer meters, converted back to degrees
+                const ox = -by / length * this.buffer;
+                const oy = bx / length * this.buffer;
+                const [offsetLat, offsetLng] = Geo.unproject(a.lat, a.lng, ox, oy);
+                const dLat = offsetLat - a.lat;
+                const dLng = offsetLng - a.lng;
+                polygons.push([[
+                    [a.lat + dLat, a.lng + dLng], [b.lat + dLat, b.lng + dLng],
+                    [b.lat - dLat, b.lng - dLng], [a.lat - dLat, a.lng - dLng]
+                ]]);
+            }
+        }
+        return { circles, polygons };
+    }
+
+    // Distance from the origin to segment a-b (projected meters)
+    segmentDistance(a, b) {
+        const dx = b[0] - a[0];
+        const dy = b[1] - a[1];
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(a[0] * dx + a[1] * dy) / lengthSq)) : 0;
+        return Math.hypot(a[0] + t * dx, a[1] + t * dy);
+    }
+
+    // Ray casting: is the origin inside the (projected) ring?
+    containsOrigin(ring) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > 0) !== (yj > 0) && 0 < (xj - xi) * (0 - yi) / (yj - yi) + xi) inside = !inside;
+        }
+        return inside;
+    }
+}
+
+window.ZoneShape = ZoneShape;
@@ -0,0 +1,136 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/loadScripts');
+
+loadScripts('geo', 'motionModel', 'deadReckoning');
+
+const T0 = 1e12;
+const ANCHOR = { latitude: 51.5, longitude: -0.12, accuracy: 5 };
+const WALKING_EAST = { course: 90, speed: 1.4, state: 'walking' };
+
+// DeviceMotion-shaped samples at 50 Hz: gravity plus a short footfall spike every stepMs
+function walk(reckoner, { from, seconds, stepMs = 500, spike = 4 }) {
+    let stepped = 0;
+    for (let t = 0; t < seconds * 1000; t += 20) {
+        const phase = t % stepMs;
+        const z = 9.81 + (phase >= 100 && phase < 160 ? spike : 0);
+        const event = { accelerationIncludingGravity: { x: 0.1, y: 0.2, z }, timeStamp: from + t };
+        if (reckoner.handleMotion(event, from + t)) stepped++;
+    }
+    return stepped;
+}
+
+// Meters and bearing from the anchor to an estimate
+function offset(estimate) {
+    return {
+        distance: Geo.distance(ANCHOR.latitude, ANCHOR.longitude, estimate.latitude, estimate.longitude),
+        bearing: Geo.bearing(ANCHOR.latitude, ANCHOR.longitude, estimate.latitude, estimate.longitude)
+    };
+}
+
+describe('DeadReckoner', () => {
+    it('stays quiet while fixes are fresh', () => {
+        const reckoner = new DeadReckoner();
+        reckoner.noteFix(ANCHOR, WALKING_EAST, T0);
+        assert.equal(reckoner.estimate(T0 + 4999), null);
+        assert.equal(reckoner.isEstimating, false);
+    });
+
+    it('keeps going at the last walking speed without the motion sensor', () => {
+        const reckoner = new DeadReckoner();
+        reckoner.noteFix(ANCHOR, WALKING_EAST, T0);
+        const estimate = reckoner.estimate(T0 + 10000);
+
+        assert.equal(estimate.estimated, true);
+        assert.equal(estimate.estimateSource, 'speed');
+        assert.equal(estimate.timestamp, T0 + 10000);
+        const { distance, bearing } = offset(estimate);
+        assert.ok(Math.abs(distance - 14) < 0.01);
+        assert.ok(Math.abs(bearing - 90) < 0.1);
+        assert.ok(Math.abs(estimate.accuracy - (5 + 14 * 0.3)) < 0.01);
+    });
+
+    it('counts footfalls from synthetic DeviceMotion and walks the track by steps', () => {
+        const reckoner = new DeadReckoner();
+        reckoner.noteFix(ANCHOR, WALKING_EAST, T0);
+        const steps = walk(reckoner, { from: T0 + 1000, seconds: 8 });
+        assert.equal(steps, 16);
+        assert.equal(reckoner.steps, 16);
+
+        const estimate = reckoner.estimate(T0 + 9000);
+        assert.equal(estimate.estimateSource, 'steps');
+        const { distance, bearing } = offset(estimate);
+        assert.ok(Math.abs(distance - 16 * 0.7) < 0.01);
+        assert.ok(Math.abs(bearing - 90) < 0.1);
+    });
+
+    it('ignores sensor sway that never clears the step threshold', () => {
+        const reckoner = new DeadReckoner();
+        reckoner.noteFix(ANCHOR, WALKING_EAST, T0);
+        assert.equal(walk(reckoner, { from: T0, seconds: 5, spike: 0.8 }), 0);
+        const estimate = reckoner.estimate(T0 + 5500);
+        assert.equal(estimate.estimateSource, 'steps');
+        assert.ok(offset(estimate).distance < 1e-6);
+    });
+
+    it('treats the sensor as gone once its events are older than sensorTimeoutMs', () => {
+        const reckoner = new DeadReckoner();
+        reckoner.noteFix(ANCHOR, WALKING_EAST, T0);
+        walk(reckoner, { from: T0 + 3000, seconds: 2 });
+        const lastEvent = T0 + 4980;
+
+        assert.equal(reckoner.estimate(T0 + 5000).estimateSource, 'steps');
+        assert.equal(reckoner.estimate(lastEvent + 2999).estimateSource, 'steps');
+        const estimate = reckoner.estimate(lastEvent + 3000);
+        assert.equal(estimate.estimateSource, 'speed');
+        assert.ok(Math.abs(offset(estimate).distance - 1.4 * 7.98) < 0.01);
+    });
+
+    it('heads along the compass when the last fix had no course', () => {
+        const motion = new MotionModel();
+        motion.handleOrientation({ webkitCompassHeading: 180 });
+        const reckoner = new DeadReckoner();
+        reckoner.noteFix(ANCHOR, { course: null, speed: 1, state: 'walking' }, T0);
+
+        assert.equal(reckoner.estimate(T0 + 6000), null); // no heading at all
+        const estimate = reckoner.estimate(T0 + 6000, motion.compassHeading);
+        const { distance, bearing } = offset(estimate);
+        assert.ok(Math.abs(distance - 6) < 0.01);
+        assert.ok(Math.abs(bearing - 180) < 0.1);
+    });
+
+    it('stands still when the walker was stationary at the last fix', () => {
+        const reckoner = new DeadReckoner();
+        reckoner.noteFix(ANCHOR, { course: 90, speed: 0.3, state: 'stationary' }, T0);
+        assert.ok(offset(reckoner.estimate(T0 + 20000)).distance < 1e-6);
+    });
+
+    it('hands back to GPS on a real fix and gives up after maxDurationMs', () => {
+        const reckoner = new DeadReckoner();
+        reckoner.noteFix(ANCHOR, WALKING_EAST, T0);
+        walk(reckoner, { from: T0, seconds: 2 });
+        assert.ok(reckoner.estimate(T0 + 6000));
+        assert.equal(reckoner.isEstimating, true);
+
+        reckoner.noteFix({ ...ANCHOR, latitude: 51.5001 }, WALKING_EAST, T0 + 7000);
+        assert.equal(reckoner.isEstimating, false);
+        assert.equal(reckoner.steps, 0);
+        assert.equal(reckoner.estimate(T0 + 8000), null);
+
+        assert.ok(reckoner.estimate(T0 + 7000 + 60000));
+        assert.equal(reckoner.estimate(T0 + 7000 + 60001), null);
+    });
+
+    it('waits longer when the caller expects longer gaps between fixes', () => {
+        const reckoner = new DeadReckoner();
+        reckoner.noteFix(ANCHOR, WALKING_EAST, T0);
+        assert.equal(reckoner.estimate(T0 + 20000, null, 35000), null);
+        assert.ok(reckoner.estimate(T0 + 35000, null, 35000));
+    });
+
+    it('does nothing when disabled', () => {
+        const reckoner = new DeadReckoner({ enabled: false });
+        reckoner.noteFix(ANCHOR, WALKING_EAST, T0);
+        assert.equal(reckoner.estimate(T0 + 10000), null);
+    });
+});
@@ -0,0 +1,19 @@
+// Loads the browser scripts under js/ into this Node process the way index.html does:
+// each runs in the global scope and publishes its classes on window.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+global.window = globalThis;
+const loaded = new Set();
+
+function loadScripts(...names) {
+    for (const name of names) {
+        if (loaded.has(name)) continue;
+        const file = path.join(__dirname, '..', '..', 'js', `${name}.js`);
+        vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+        loaded.add(name);
+    }
+}
+
+module.exports = { loadScripts };
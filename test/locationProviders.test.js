@@ -0,0 +1,226 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DOMParser } = require('@xmldom/xmldom');
+const { loadScripts } = require('./helpers/loadScripts');
+
+global.DOMParser = DOMParser;
+loadScripts('geo', 'locationProviders');
+
+// Collects what a provider emits
+function recordingSink() {
+    const fixes = [];
+    return { fixes, onPosition: (fix) => fixes.push(fix), onError: (error) => { throw error; } };
+}
+
+// 100 m due east of the start, at the equator
+const START = { lat: 0, lng: 0 };
+const EAST_100M = { lat: 0, lng: 100 / (Geo.EARTH_RADIUS * Math.PI / 180) };
+
+describe('ScriptedPathProvider', () => {
+    it('interpolates along the path at its walking speed', () => {
+        const provider = new ScriptedPathProvider([START, EAST_100M], { speed: 2 });
+        assert.ok(Math.abs(provider.totalDistance - 100) < 0.01);
+
+        const fix = provider.positionAt(25000);
+        assert.ok(Math.abs(Geo.distance(0, 0, fix.latitude, fix.longitude) - 50) < 0.01);
+        assert.equal(fix.latitude, 0);
+        assert.equal(fix.speed, 2);
+    });
+
+    it('stops at the last waypoint and reports zero speed there', () => {
+        const provider = new ScriptedPathProvider([START, EAST_100M], { speed: 2 });
+        const fix = provider.positionAt(120000);
+        assert.equal(fix.longitude, EAST_100M.lng);
+        assert.equal(fix.speed, 0);
+    });
+
+    it('wraps around when looping', () => {
+        const provider = new ScriptedPathProvider([START, EAST_100M], { speed: 2, loop: true });
+        const fix = provider.positionAt(60000); // 120 m into a 100 m path
+        assert.ok(Math.abs(Geo.distance(0, 0, fix.latitude, fix.longitude) - 20) < 0.01);
+    });
+
+    it('accepts [lng, lat] pairs and crosses waypoints', () => {
+        const provider = new ScriptedPathProvider([[0, 0], [EAST_100M.lng, 0], [EAST_100M.lng, EAST_100M.lng]], { speed: 1 });
+        const fix = provider.positionAt(150000); // 50 m up the second, northbound segment
+        assert.equal(fix.longitude, EAST_100M.lng);
+        assert.ok(Math.abs(Geo.distance(0, EAST_100M.lng, fix.latitude, fix.longitude) - 50) < 0.01);
+    });
+
+    it('emits ticks to the sink stamped from its start time', () => {
+        const provider = new ScriptedPathProvider([START, EAST_100M]);
+        const sink = recordingSink();
+        provider.start(sink);
+        provider.tick(3000);
+        provider.stop();
+
+        assert.equal(sink.fixes.length, 2);
+        assert.equal(sink.fixes[1].timestamp - sink.fixes[0].timestamp, 3000);
+        assert.equal(provider.tick(4000).timestamp - sink.fixes[0].timestamp, 4000);
+        assert.equal(sink.fixes.length, 2); // stopped: nothing more reaches the sink
+    });
+
+    it('returns null for an empty path', () => {
+        assert.equal(new ScriptedPathProvider([]).positionAt(1000), null);
+    });
+});
+
+describe('TrackReplayProvider parsing', () => {
+    const gpx = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="THE WALK" xmlns="http://www.topografix.com/GPX/1/1" xmlns:tw="urn:thewalk:gpx:1">
+  <trk><trkseg>
+    <trkpt lat="33.9889" lon="-118.4625">
+      <time>2026-05-01T10:00:00.000Z</time>
+      <extensions><tw:accuracy>4</tw:accuracy></extensions>
+    </trkpt>
+    <trkpt lat="33.9890" lon="-118.4626">
+      <time>2026-05-01T10:00:02.000Z</time>
+      <hdop>3</hdop>
+    </trkpt>
+    <trkpt lat="33.9891" lon="-118.4627">
+      <time>2026-05-01T10:00:05.000Z</time>
+    </trkpt>
+  </trkseg></trk>
+</gpx>`;
+
+    it('reads GPX track points, times and accuracy (extension, then hdop, then a default)', () => {
+        const fixes = TrackReplayProvider.parseGPX(gpx);
+        assert.equal(fixes.length, 3);
+        assert.deepEqual(fixes[0], { latitude: 33.9889, longitude: -118.4625, accuracy: 4, timestamp: Date.parse('2026-05-01T10:00:00Z') });
+        assert.equal(fixes[1].accuracy, 15);
+        assert.equal(fixes[2].accuracy, 10);
+        assert.equal(fixes[2].timestamp - fixes[0].timestamp, 5000);
+    });
+
+    it('falls back to route points when a GPX file has no track', () => {
+        const route = '<gpx xmlns="http://www.topografix.com/GPX/1/1"><rte><rtept lat="1" lon="2"/><rtept lat="1.001" lon="2"/></rte></gpx>';
+        const fixes = TrackReplayProvider.parseGPX(route);
+        assert.deepEqual(fixes.map(f => [f.latitude, f.longitude]), [[1, 2], [1.001, 2]]);
+    });
+
+    it('reads the first LineString of a GeoJSON FeatureCollection with coordTimes and accuracies', () => {
+        const fixes = TrackReplayProvider.parseGeoJSON({
+            type: 'FeatureCollection',
+            features: [
+                { type: 'Feature', properties: { event: 'oneshot' }, geometry: { type: 'Point', coordinates: [5, 5] } },
+                {
+                    type: 'Feature',
+                    properties: { coordTimes: ['2026-05-01T10:00:00Z', '2026-05-01T10:00:01Z'], accuracies: [6, 8] },
+                    geometry: { type: 'LineString', coordinates: [[-118.4625, 33.9889], [-118.4626, 33.989]] }
+                }
+            ]
+        });
+        assert.deepEqual(fixes, [
+            { latitude: 33.9889, longitude: -118.4625, accuracy: 6, timestamp: Date.parse('2026-05-01T10:00:00Z') },
+            { latitude: 33.989, longitude: -118.4626, accuracy: 8, timestamp: Date.parse('2026-05-01T10:00:01Z') }
+        ]);
+    });
+
+    it('flattens a bare MultiLineString geometry and takes numeric times', () => {
+        const fixes = TrackReplayProvider.parseGeoJSON({
+            type: 'Feature',
+            properties: { times: [[1000, 2000], [3000]] },
+            geometry: { type: 'MultiLineString', coordinates: [[[0, 0], [0, 1]], [[0, 2]]] }
+        });
+        assert.deepEqual(fixes.map(f => [f.latitude, f.timestamp, f.accuracy]), [[0, 1000, 10], [1, 2000, 10], [2, 3000, 10]]);
+    });
+
+    it('rejects GeoJSON without a line', () => {
+        assert.throws(() => TrackReplayProvider.parseGeoJSON({ type: 'Point', coordinates: [0, 0] }), /No LineString/);
+    });
+
+    it('picks the parser from the text', () => {
+        assert.equal(TrackReplayProvider.parseTrack(`  ${gpx}`).length, 3);
+        assert.equal(TrackReplayProvider.parseTrack('{"type":"LineString","coordinates":[[0,0],[0,1]]}').length, 2);
+    });
+});
+
+describe('TrackReplayProvider.fillTimestamps', () => {
+    it('keeps complete times as they are', () => {
+        const fixes = [{ latitude: 0, longitude: 0, timestamp: 5000 }, { latitude: 0, longitude: 1, timestamp: 9000 }];
+        assert.deepEqual(TrackReplayProvider.fillTimestamps(fixes).map(f => f.timestamp), [5000, 9000]);
+    });
+
+    it('spaces a track with missing times one second apart from now', () => {
+        const before = Date.now();
+        const fixes = TrackReplayProvider.fillTimestamps([
+            { latitude: 0, longitude: 0, timestamp: 5000 },
+            { latitude: 0, longitude: 1, timestamp: NaN },
+            { latitude: 0, longitude: 2, timestamp: NaN }
+        ]);
+        assert.ok(fixes[0].timestamp >= before && fixes[0].timestamp <= Date.now());
+        assert.deepEqual(fixes.map(f => f.timestamp - fixes[0].timestamp), [0, 1000, 2000]);
+    });
+
+    it('drops points without usable coordinates', () => {
+        const fixes = TrackReplayProvider.fillTimestamps([
+            { latitude: 0, longitude: 0, timestamp: 1 },
+            { latitude: NaN, longitude: 0, timestamp: 2 },
+            { latitude: 0, longitude: 3, timestamp: 3 }
+        ]);
+        assert.deepEqual(fixes.map(f => f.longitude), [0, 3]);
+    });
+});
+
+describe('TrackReplayProvider playback', () => {
+    const fixes = [0, 2000, 5000, 9000].map((t, i) => ({ latitude: i, longitude: 0, accuracy: 5, timestamp: 1e12 + t }));
+
+    it('emits the first fix on start as a discontinuity, with the original timestamps', () => {
+        const provider = new TrackReplayProvider(fixes);
+        const sink = recordingSink();
+        provider.start(sink);
+        provider.stop();
+
+        assert.equal(sink.fixes.length, 1);
+        assert.equal(sink.fixes[0].discontinuity, true);
+        assert.equal(sink.fixes[0].timestamp, 1e12);
+        assert.equal(provider.getDuration(), 9000);
+    });
+
+    it('steps through the fixes in order and reports the end', () => {
+        const provider = new TrackReplayProvider(fixes.slice().reverse());
+        const sink = recordingSink();
+        let ended = false;
+        provider.onEnd = () => { ended = true; };
+        provider.start(sink);
+        while (provider.step()) { /* emit the rest without waiting for the timer */ }
+        provider.stop();
+
+        assert.deepEqual(sink.fixes.map(f => f.latitude), [0, 1, 2, 3]);
+        assert.deepEqual(sink.fixes.map(f => f.discontinuity), [true, false, false, false]);
+        assert.equal(ended, true);
+        assert.equal(provider.getElapsed(), 9000);
+    });
+
+    it('seeks to the first fix at or after an offset', () => {
+        const provider = new TrackReplayProvider(fixes);
+        const sink = recordingSink();
+        provider.start(sink);
+        provider.seek(4000);
+        provider.stop();
+
+        assert.equal(sink.fixes[1].latitude, 2);
+        assert.equal(sink.fixes[1].discontinuity, true);
+        assert.equal(provider.getElapsed(), 5000);
+    });
+
+    it('waits the original gap divided by the playback speed', (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        const provider = new TrackReplayProvider(fixes, { speed: 4 });
+        const sink = recordingSink();
+        provider.start(sink);
+
+        t.mock.timers.tick(499);
+        assert.equal(sink.fixes.length, 1);
+        t.mock.timers.tick(1);
+        assert.equal(sink.fixes.length, 2); // 2000 ms gap at 4x
+
+        provider.pause();
+        t.mock.timers.tick(10000);
+        assert.equal(sink.fixes.length, 2);
+        provider.play();
+        t.mock.timers.tick(750);
+        assert.equal(sink.fixes.length, 3); // 3000 ms gap at 4x
+        provider.stop();
+    });
+});